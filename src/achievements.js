@@ -0,0 +1,58 @@
+// Prediction achievements, unlocked once per user and server.
+// Each check receives the user's stats from getAchievementStats.
+const ACHIEVEMENTS = {
+    first_prediction: {
+        emoji: '🐣',
+        name: 'First Call',
+        description: 'Have your first prediction settled',
+        check: stats => stats.totalPredictions >= 1
+    },
+    streak_5: {
+        emoji: '🔥',
+        name: 'On Fire',
+        description: 'Call 5 games in a row correctly',
+        check: stats => stats.bestStreak >= 5
+    },
+    streak_10: {
+        emoji: '🌋',
+        name: 'Unstoppable',
+        description: 'Call 10 games in a row correctly',
+        check: stats => stats.bestStreak >= 10
+    },
+    contrarian_10: {
+        emoji: '🦄',
+        name: 'Against the Grain',
+        description: 'Land 10 correct win/loss picks on the underdog side of the odds',
+        check: stats => stats.contrarianCorrect >= 10
+    },
+    perfect_week: {
+        emoji: '💎',
+        name: 'Perfect Week',
+        description: 'Go 5 for 5 or better within a single week without a miss',
+        check: stats => stats.weekPredictions >= 5 && stats.weekCorrect === stats.weekPredictions
+    },
+    regular_100: {
+        emoji: '💯',
+        name: 'Regular',
+        description: 'Have 100 predictions settled',
+        check: stats => stats.totalPredictions >= 100
+    }
+};
+
+// Achievement keys whose requirements the stats meet
+function getEarnedAchievements(stats) {
+    return Object.entries(ACHIEVEMENTS)
+        .filter(([, achievement]) => achievement.check(stats))
+        .map(([key]) => key);
+}
+
+function formatAchievement(key) {
+    const achievement = ACHIEVEMENTS[key];
+    return achievement ? `${achievement.emoji} **${achievement.name}**` : key;
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    getEarnedAchievements,
+    formatAchievement
+};
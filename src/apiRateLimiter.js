@@ -1,5 +1,92 @@
 const axios = require('axios');
 
+// Parse Riot rate limit headers ("20:1,100:120" -> 20 per 1s and 100 per 120s)
+function parseRateLimitHeader(header) {
+    if (!header) return [];
+    return String(header).split(',').map(pair => {
+        const [value, windowSeconds] = pair.split(':').map(Number);
+        return { value, windowMs: windowSeconds * 1000 };
+    }).filter(entry => Number.isFinite(entry.value) && entry.windowMs > 0);
+}
+
+// Requests allowed per time window for one app (routing host) or method budget. Windows start with their first
+// request, like Riot's, and are corrected from the -Count headers since other processes may share the API key.
+class RateLimitBucket {
+    constructor(name, limits = []) {
+        this.name = name;
+        this.windows = [];
+        this.blockedUntil = 0;
+        this.setLimits(limits);
+    }
+
+    setLimits(limits) {
+        const signature = limits.map(limit => `${limit.value}:${limit.windowMs}`).join(',');
+        if (signature === this.signature) return;
+
+        const previousWindows = this.windows;
+        this.signature = signature;
+        this.windows = limits.map(limit => {
+            const previous = previousWindows.find(window => window.windowMs === limit.windowMs);
+            return {
+                limit: limit.value,
+                windowMs: limit.windowMs,
+                count: previous ? previous.count : 0,
+                resetAt: previous ? previous.resetAt : 0
+            };
+        });
+    }
+
+    syncCounts(counts, now = Date.now()) {
+        for (const { value, windowMs } of counts) {
+            const window = this.windows.find(candidate => candidate.windowMs === windowMs);
+            if (!window) continue;
+
+            if (now >= window.resetAt) {
+                window.count = 0;
+                window.resetAt = now + window.windowMs;
+            }
+            window.count = Math.max(window.count, value);
+        }
+    }
+
+    record(now = Date.now()) {
+        for (const window of this.windows) {
+            if (now >= window.resetAt) {
+                window.count = 0;
+                window.resetAt = now + window.windowMs;
+            }
+            window.count++;
+        }
+    }
+
+    // Block the whole bucket until Riot's Retry-After has passed
+    block(delayMs, now = Date.now()) {
+        this.blockedUntil = Math.max(this.blockedUntil, now + delayMs);
+    }
+
+    // Milliseconds until another request fits (0 when one can be sent now)
+    getWaitTime(now = Date.now()) {
+        let waitTime = Math.max(this.blockedUntil - now, 0);
+        for (const window of this.windows) {
+            if (now < window.resetAt && window.count >= window.limit) {
+                waitTime = Math.max(waitTime, window.resetAt - now);
+            }
+        }
+        return waitTime;
+    }
+
+    describe(now = Date.now()) {
+        const usage = this.windows.map(window => {
+            const count = now < window.resetAt ? window.count : 0;
+            return `${count}/${window.limit} per ${window.windowMs / 1000}s`;
+        });
+        if (this.blockedUntil > now) {
+            usage.push(`blocked ${Math.ceil((this.blockedUntil - now) / 1000)}s`);
+        }
+        return `${this.name}: ${usage.join(', ') || 'no limits learned yet'}`;
+    }
+}
+
 class ApiRateLimiter {
     constructor(options = {}) {
         // Rate limiting configuration
@@ -8,18 +95,34 @@ class ApiRateLimiter {
         this.maxRetries = options.maxRetries || 3;
         this.baseRetryDelayMs = options.baseRetryDelayMs || 1000; // 1 second
         
+        // Riot budgets: one app bucket per routing host (na1, americas, ...) and one method bucket per host + endpoint.
+        // Limits come from the X-App-Rate-Limit / X-Method-Rate-Limit headers; until a host has answered,
+        // its app bucket uses these defaults (development key limits, with the long window kept conservative)
+        this.defaultAppLimits = options.defaultAppLimits || [
+            { value: 20, windowMs: 1000 },
+            { value: this.maxRequestsPerWindow, windowMs: this.windowSizeMs }
+        ];
+        this.appBuckets = new Map(); // host -> RateLimitBucket
+        this.methodBuckets = new Map(); // host:endpoint -> RateLimitBucket
+        
         // Request queue and tracking
         this.requestQueue = [];
         this.activeRequests = new Map(); // Track in-flight requests
+        this.pendingByCacheKey = new Map(); // cacheKey -> { request, promise } for queued or in-flight requests
         this.requestHistory = []; // Track request timestamps for rate limiting
         this.isProcessing = false;
         
-        // Caching system
+        // Caching system: an in-memory layer, plus an optional persistent layer shared across restarts.
+        // persistentCache is any backend with getApiResponse(key) -> { data, expiresAt } | null,
+        // saveApiResponse(key, data, expiresAt) and cleanupApiResponses() (PersistenceManager stores them in Postgres)
         this.cache = new Map();
+        this.persistentCache = options.persistentCache || null;
         this.cacheStats = {
             hits: 0,
+            persistentHits: 0,
             misses: 0,
-            evictions: 0
+            evictions: 0,
+            persistentWrites: 0
         };
         
         // Monitoring
@@ -29,6 +132,7 @@ class ApiRateLimiter {
             failedRequests: 0,
             rateLimitedRequests: 0,
             cachedResponses: 0,
+            coalescedRequests: 0,
             averageResponseTime: 0,
             lastRequestTime: null,
             peakRequestsInWindow: 0,
@@ -52,19 +156,59 @@ class ApiRateLimiter {
     }
     
     /**
-     * Add a request to the queue
+     * Add a request to the queue. Concurrent requests with the same cacheKey share one HTTP request
+     * (and one rate limit slot), even when bypassCache skips the stored response.
      * @param {Object} requestConfig - Axios request configuration
-     * @param {Object} options - Additional options (priority, cacheKey, cacheTTL)
+     * @param {Object} options - Additional options (priority, endpoint, cacheKey, cacheTTL, bypassCache, persist, immutable).
+     *                           endpoint names the Riot endpoint (e.g. 'match-v5.getMatch') so it is limited by its own
+     *                           method budget. persist also stores the response in the persistent cache for cacheTTL;
+     *                           immutable stores it there with no expiry
      * @returns {Promise} - Promise that resolves with the response
      */
     async queueRequest(requestConfig, options = {}) {
-        return new Promise((resolve, reject) => {
-            const request = {
+        const cacheKey = options.cacheKey;
+        
+        // Check cache first (unless bypassed)
+        if (cacheKey && !options.bypassCache) {
+            const cachedResponse = this.getFromCache(cacheKey);
+            if (cachedResponse) {
+                this.stats.cachedResponses++;
+                this.cacheStats.hits++;
+                return cachedResponse;
+            }
+        }
+        
+        // Join an identical request that is already queued or in flight
+        if (cacheKey && this.pendingByCacheKey.has(cacheKey)) {
+            return this.joinPendingRequest(cacheKey, options.priority);
+        }
+        
+        if (cacheKey && !options.bypassCache) {
+            // Only responses that are ever persisted are worth a database round trip
+            if (options.persist || options.immutable) {
+                const storedResponse = await this.getFromPersistentCache(cacheKey, options.cacheTTL || 300000);
+                if (storedResponse) {
+                    this.stats.cachedResponses++;
+                    this.cacheStats.persistentHits++;
+                    return storedResponse;
+                }
+            }
+            this.cacheStats.misses++;
+            
+            // Another caller may have queued the same request while the persistent cache was checked
+            if (this.pendingByCacheKey.has(cacheKey)) {
+                return this.joinPendingRequest(cacheKey, options.priority);
+            }
+        }
+        
+        let request;
+        const promise = new Promise((resolve, reject) => {
+            request = {
                 id: this.generateRequestId(),
                 config: requestConfig,
                 options: {
                     priority: options.priority || 'normal', // high, normal, low
-                    cacheKey: options.cacheKey,
+                    cacheKey: cacheKey,
                     cacheTTL: options.cacheTTL || 300000, // 5 minutes default
                     retryCount: 0,
                     ...options
@@ -73,27 +217,42 @@ class ApiRateLimiter {
                 reject,
                 timestamp: Date.now()
             };
-            
-            // Check cache first (unless bypassed)
-            if (request.options.cacheKey && !request.options.bypassCache) {
-                const cachedResponse = this.getFromCache(request.options.cacheKey);
-                if (cachedResponse) {
-                    this.stats.cachedResponses++;
-                    this.cacheStats.hits++;
-                    resolve(cachedResponse);
-                    return;
-                }
-                this.cacheStats.misses++;
-            }
-            
-            // Add to queue with priority ordering
-            this.addToQueue(request);
-            
-            // Start processing if not already running
-            if (!this.isProcessing) {
-                this.processQueue();
-            }
         });
+        
+        if (cacheKey) {
+            this.pendingByCacheKey.set(cacheKey, { request, promise });
+            const release = () => this.pendingByCacheKey.delete(cacheKey);
+            promise.then(release, release);
+        }
+        
+        // Add to queue with priority ordering
+        this.addToQueue(request);
+        
+        // Start processing if not already running
+        if (!this.isProcessing) {
+            this.processQueue();
+        }
+        
+        return promise;
+    }
+    
+    joinPendingRequest(cacheKey, priority) {
+        const pending = this.pendingByCacheKey.get(cacheKey);
+        this.stats.coalescedRequests++;
+        console.log(`🔗 Joined pending request for key: ${cacheKey} (${pending.request.id})`);
+        this.raisePriority(pending.request, priority);
+        return pending.promise;
+    }
+    
+    // A higher priority caller joining a still-queued request moves it up the queue
+    raisePriority(request, priority = 'normal') {
+        const priorityOrder = { high: 0, normal: 1, low: 2 };
+        const index = this.requestQueue.indexOf(request);
+        if (index === -1 || priorityOrder[priority] >= priorityOrder[request.options.priority]) return;
+        
+        this.requestQueue.splice(index, 1);
+        request.options.priority = priority;
+        this.addToQueue(request);
     }
     
     addToQueue(request) {
@@ -118,16 +277,25 @@ class ApiRateLimiter {
         if (this.isProcessing) return;
         this.isProcessing = true;
         
+        let waiting = false;
         while (this.requestQueue.length > 0) {
-            // Check if we can make a request (rate limiting)
-            if (!this.canMakeRequest()) {
-                const waitTime = this.getWaitTime();
-                console.log(`⏳ Rate limit reached. Waiting ${waitTime}ms before next request`);
-                await this.sleep(waitTime);
+            // Highest priority request whose app and method buckets have room; a limited endpoint
+            // doesn't hold up requests to other endpoints or hosts
+            const readyIndex = this.requestQueue.findIndex(request => this.getWaitTime(request) === 0);
+            
+            if (readyIndex === -1) {
+                const waitTime = Math.min(...this.requestQueue.map(request => this.getWaitTime(request)));
+                if (!waiting) {
+                    console.log(`⏳ Rate limit reached for all ${this.requestQueue.length} queued requests. Next slot in ${waitTime}ms`);
+                    waiting = true;
+                }
+                // Wake up at least every second so newly queued requests for other buckets aren't held back
+                await this.sleep(Math.min(waitTime, 1000));
                 continue;
             }
             
-            const request = this.requestQueue.shift();
+            waiting = false;
+            const [request] = this.requestQueue.splice(readyIndex, 1);
             await this.executeRequest(request);
         }
         
@@ -143,15 +311,21 @@ class ApiRateLimiter {
         try {
             console.log(`🌐 Executing API request: ${request.config.method || 'GET'} ${request.config.url}`);
             
+            // Every request sent counts against Riot's limits, whether or not it succeeds
+            this.recordRequest(request, startTime);
+            
             const response = await axios(request.config);
             
-            // Record successful request
-            this.recordRequest(startTime);
+            this.updateLimitsFromHeaders(request, response.headers);
             this.stats.successfulRequests++;
             
             // Cache response if caching is enabled and not bypassed
             if (request.options.cacheKey && !request.options.bypassCache) {
                 this.setCache(request.options.cacheKey, response.data, request.options.cacheTTL);
+                
+                if (request.options.persist || request.options.immutable) {
+                    this.saveToPersistentCache(request.options.cacheKey, response.data, request.options.immutable ? null : request.options.cacheTTL);
+                }
             }
             
             // Update average response time
@@ -171,17 +345,37 @@ class ApiRateLimiter {
         const responseTime = Date.now() - startTime;
         this.updateAverageResponseTime(responseTime);
         
+        if (error.response) {
+            this.updateLimitsFromHeaders(request, error.response.headers);
+        }
+        
         // Handle rate limiting (429)
         if (error.response && error.response.status === 429) {
             this.stats.rateLimitedRequests++;
-            console.log(`⚠️ Rate limited! Request ${request.id}`);
             
-            // Get retry-after header or use exponential backoff
             const retryAfter = error.response.headers['retry-after'];
-            const delay = retryAfter ? parseInt(retryAfter) * 1000 : this.calculateBackoffDelay(request.options.retryCount);
+            const limitType = error.response.headers['x-rate-limit-type'] || 'service';
+            console.log(`⚠️ Rate limited (${limitType})! Request ${request.id}`);
             
             if (request.options.retryCount < this.maxRetries) {
                 request.options.retryCount++;
+                
+                if (retryAfter) {
+                    // Hold the exhausted bucket for exactly Retry-After; the queue sends the retry as soon as it reopens
+                    const delay = parseFloat(retryAfter) * 1000;
+                    const { appBucket, methodBucket } = this.getBuckets(request);
+                    (limitType === 'application' ? appBucket : methodBucket).block(delay);
+                    
+                    console.log(`🔄 Retrying request ${request.id} in ${delay}ms (attempt ${request.options.retryCount})`);
+                    this.addToQueue(request);
+                    if (!this.isProcessing) {
+                        this.processQueue();
+                    }
+                    return;
+                }
+                
+                // Service limits from the underlying platform come without Retry-After, so back off exponentially
+                const delay = this.calculateBackoffDelay(request.options.retryCount - 1);
                 console.log(`🔄 Retrying request ${request.id} in ${delay}ms (attempt ${request.options.retryCount})`);
                 
                 setTimeout(() => {
@@ -200,20 +394,48 @@ class ApiRateLimiter {
         request.reject(error);
     }
     
-    canMakeRequest() {
-        this.cleanupOldRequests();
-        return this.requestHistory.length < this.maxRequestsPerWindow;
+    // App and method buckets for a request, created on first use
+    getBuckets(request) {
+        const url = new URL(request.config.url);
+        const methodKey = `${url.host}:${request.options.endpoint || url.pathname}`;
+        
+        if (!this.appBuckets.has(url.host)) {
+            this.appBuckets.set(url.host, new RateLimitBucket(url.host, this.defaultAppLimits));
+        }
+        if (!this.methodBuckets.has(methodKey)) {
+            this.methodBuckets.set(methodKey, new RateLimitBucket(methodKey));
+        }
+        
+        return {
+            appBucket: this.appBuckets.get(url.host),
+            methodBucket: this.methodBuckets.get(methodKey)
+        };
     }
     
-    getWaitTime() {
-        if (this.requestHistory.length === 0) return 0;
+    getWaitTime(request) {
+        const { appBucket, methodBucket } = this.getBuckets(request);
+        return Math.max(appBucket.getWaitTime(), methodBucket.getWaitTime());
+    }
+    
+    // Learn limits and current usage from X-App-Rate-Limit(-Count) and X-Method-Rate-Limit(-Count)
+    updateLimitsFromHeaders(request, headers = {}) {
+        const { appBucket, methodBucket } = this.getBuckets(request);
+        
+        const appLimits = parseRateLimitHeader(headers['x-app-rate-limit']);
+        if (appLimits.length > 0) appBucket.setLimits(appLimits);
+        appBucket.syncCounts(parseRateLimitHeader(headers['x-app-rate-limit-count']));
         
-        const oldestRequest = this.requestHistory[0];
-        const timeUntilExpiry = (oldestRequest + this.windowSizeMs) - Date.now();
-        return Math.max(timeUntilExpiry + 100, 1000); // Add small buffer
+        const methodLimits = parseRateLimitHeader(headers['x-method-rate-limit']);
+        if (methodLimits.length > 0) methodBucket.setLimits(methodLimits);
+        methodBucket.syncCounts(parseRateLimitHeader(headers['x-method-rate-limit-count']));
     }
     
-    recordRequest(timestamp) {
+    recordRequest(request, timestamp) {
+        const { appBucket, methodBucket } = this.getBuckets(request);
+        appBucket.record(timestamp);
+        methodBucket.record(timestamp);
+        
+        // Overall history (all hosts) for usage stats
         this.requestHistory.push(timestamp);
         this.cleanupOldRequests();
         
@@ -270,6 +492,38 @@ class ApiRateLimiter {
         return { data: cached.data };
     }
     
+    // Stored response from the persistent layer, also kept in memory for up to memoryTTL
+    async getFromPersistentCache(key, memoryTTL) {
+        if (!this.persistentCache) return null;
+        
+        try {
+            const stored = await this.persistentCache.getApiResponse(key);
+            if (!stored) return null;
+            
+            const remainingTTL = stored.expiresAt ? new Date(stored.expiresAt).getTime() - Date.now() : memoryTTL;
+            if (remainingTTL <= 0) return null;
+            
+            this.setCache(key, stored.data, Math.min(remainingTTL, memoryTTL));
+            console.log(`🗄️ Persistent cache hit for key: ${key}`);
+            return { data: stored.data };
+        } catch (error) {
+            console.error(`❌ Error reading persistent cache for ${key}:`, error.message);
+            return null;
+        }
+    }
+    
+    // ttl of null keeps the response until it's removed by hand (immutable data such as finished matches)
+    async saveToPersistentCache(key, data, ttl) {
+        if (!this.persistentCache) return;
+        
+        try {
+            await this.persistentCache.saveApiResponse(key, data, ttl === null ? null : new Date(Date.now() + ttl));
+            this.cacheStats.persistentWrites++;
+        } catch (error) {
+            console.error(`❌ Error writing persistent cache for ${key}:`, error.message);
+        }
+    }
+    
     cleanupExpiredCache() {
         const now = Date.now();
         let evicted = 0;
@@ -285,6 +539,12 @@ class ApiRateLimiter {
             this.cacheStats.evictions += evicted;
             console.log(`🧹 Evicted ${evicted} expired cache entries`);
         }
+        
+        if (this.persistentCache) {
+            this.persistentCache.cleanupApiResponses().catch(error => {
+                console.error('❌ Error cleaning up persistent cache:', error.message);
+            });
+        }
     }
     
     updateAverageResponseTime(responseTime) {
@@ -301,8 +561,9 @@ class ApiRateLimiter {
             return; // No activity to log
         }
         
-        const cacheHitRate = this.cacheStats.hits + this.cacheStats.misses > 0 
-            ? (this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses) * 100).toFixed(1)
+        const cacheHits = this.cacheStats.hits + this.cacheStats.persistentHits;
+        const cacheHitRate = cacheHits + this.cacheStats.misses > 0 
+            ? (cacheHits / (cacheHits + this.cacheStats.misses) * 100).toFixed(1)
             : 0;
             
         const successRate = this.stats.totalRequests > 0
@@ -312,7 +573,7 @@ class ApiRateLimiter {
         console.log(`📊 API Usage Summary (30min):`);
         console.log(`   Requests: ${this.stats.totalRequests} total, ${this.stats.successfulRequests} successful (${successRate}%)`);
         console.log(`   Rate Limits: ${this.stats.rateLimitedRequests} hit, Peak: ${this.stats.peakRequestsInWindow}/${this.maxRequestsPerWindow} (${Math.round(this.stats.peakRequestsInWindow/this.maxRequestsPerWindow*100)}%)`);
-        console.log(`   Cache: ${cacheHitRate}% hit rate, ${this.cache.size} entries, ${this.stats.cachedResponses} responses served`);
+        console.log(`   Cache: ${cacheHitRate}% hit rate (${this.cacheStats.hits} memory, ${this.cacheStats.persistentHits} persistent), ${this.cache.size} entries, ${this.stats.cachedResponses} responses served, ${this.stats.coalescedRequests} duplicate requests joined`);
         console.log(`   Performance: ${Math.round(this.stats.averageResponseTime)}ms avg response time`);
         
         if (this.stats.peakRequestsTime) {
@@ -341,18 +602,24 @@ class ApiRateLimiter {
     
     // Public API for monitoring
     getStats() {
-        const cacheHitRate = this.cacheStats.hits + this.cacheStats.misses > 0 
-            ? (this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses) * 100).toFixed(2)
+        this.cleanupOldRequests();
+        
+        const cacheHits = this.cacheStats.hits + this.cacheStats.persistentHits;
+        const cacheHitRate = cacheHits + this.cacheStats.misses > 0 
+            ? (cacheHits / (cacheHits + this.cacheStats.misses) * 100).toFixed(2)
             : 0;
             
         return {
             ...this.stats,
             queueSize: this.requestQueue.length,
             activeRequests: this.activeRequests.size,
+            pendingCacheKeys: this.pendingByCacheKey.size,
             cacheSize: this.cache.size,
             cacheHitRate: `${cacheHitRate}%`,
             cacheStats: this.cacheStats,
+            persistentCacheEnabled: !!this.persistentCache,
             rateLimitWindow: `${this.requestHistory.length}/${this.maxRequestsPerWindow} requests in last ${this.windowSizeMs / 1000}s`,
+            rateLimitBuckets: [...this.appBuckets.values(), ...this.methodBuckets.values()].map(bucket => bucket.describe()),
             peakRequestsInWindow: this.stats.peakRequestsInWindow,
             peakRequestsTime: this.stats.peakRequestsTime
         };
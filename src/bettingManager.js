@@ -1,16 +1,33 @@
-const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const { getRankedQueue } = require('./queues');
+const { EVEN_ODDS, calculateOdds, calculatePoints, formatOdds } = require('./odds');
+const { MARKETS, PROP_MARKETS, getPropOdds, resolveMarket, formatPick } = require('./markets');
+const { LEADERBOARD_WINDOWS, getRankMedal } = require('./leaderboards');
+const { getEarnedAchievements } = require('./achievements');
+
+// Credit economy (only used in servers that enable wagering)
+const STARTING_CREDITS = 100;
+const DAILY_CLAIM_CREDITS = 100;
+const STAKE_OPTIONS = [10, 25, 50, 100];
+
+const PREDICTION_WINDOW_MS = 4 * 60 * 1000;
+const PANEL_REFRESH_MS = 15 * 1000;
+const LIVE_PICKS_FIELD = '📊 LIVE PICKS';
 
 class BettingManager {
-    constructor(persistence, riotApi) {
+    constructor(persistence, riotApi, discordClient = null) {
         console.log(`🎰 BettingManager instance created`);
         this.persistence = persistence;
         this.riotApi = riotApi;
+        this.discordClient = discordClient; // used to edit panels as predictions come in
         this.activeBettingPanels = new Map(); // gameId -> panel info
         this.bettingTimeouts = new Map(); // gameId -> timeout
+        this.panelRefreshIntervals = new Map(); // gameId -> interval
     }
 
     // User prediction accuracy management
-    async getUserPredictionStats(userId, guildId, channelId, trackedPlayerPuuid, trackedPlayerName) {
+    // Pass a transaction client as db to lock the row until that transaction ends
+    async getUserPredictionStats(userId, guildId, channelId, trackedPlayerPuuid, trackedPlayerName, db = this.persistence.pool) {
         if (!this.persistence.databaseAvailable) {
             return { 
                 totalPredictions: 0, 
@@ -22,14 +39,15 @@ class BettingManager {
         }
 
         try {
-            const result = await this.persistence.pool.query(`
+            const result = await db.query(`
                 SELECT * FROM user_prediction_accuracy 
                 WHERE user_id = $1 AND guild_id = $2 AND channel_id = $3 AND tracked_player_puuid = $4
+                ${db === this.persistence.pool ? '' : 'FOR UPDATE'}
             `, [userId, guildId, channelId, trackedPlayerPuuid]);
 
             if (result.rows.length === 0) {
                 // Create new user accuracy record
-                await this.persistence.pool.query(`
+                await db.query(`
                     INSERT INTO user_prediction_accuracy 
                     (user_id, guild_id, channel_id, tracked_player_puuid, tracked_player_name)
                     VALUES ($1, $2, $3, $4, $5)
@@ -43,6 +61,7 @@ class BettingManager {
                     bestStreak: 0,
                     winPredictions: 0,
                     lossPredictions: 0,
+                    totalPoints: 0,
                     isNewUser: true 
                 };
             }
@@ -56,6 +75,7 @@ class BettingManager {
                 bestStreak: userData.best_streak,
                 winPredictions: userData.win_predictions,
                 lossPredictions: userData.loss_predictions,
+                totalPoints: userData.total_points || 0,
                 lastPrediction: userData.last_prediction_at
             };
         } catch (error) {
@@ -79,7 +99,7 @@ class BettingManager {
 
         try {
             const result = await this.persistence.pool.query(`
-                SELECT predicted_outcome, actual_outcome, was_correct, match_id, created_at
+                SELECT market, predicted_outcome, actual_outcome, was_correct, match_id, odds, points, created_at
                 FROM prediction_history 
                 WHERE user_id = $1 AND guild_id = $2 AND channel_id = $3 AND tracked_player_puuid = $4
                 ORDER BY created_at DESC
@@ -87,10 +107,13 @@ class BettingManager {
             `, [userId, guildId, channelId, trackedPlayerPuuid, limit]);
 
             return result.rows.map(row => ({
+                market: row.market || 'outcome',
                 predictedOutcome: row.predicted_outcome,
                 actualOutcome: row.actual_outcome,
                 wasCorrect: row.was_correct,
                 matchId: row.match_id,
+                odds: row.odds ? parseFloat(row.odds) : EVEN_ODDS,
+                points: row.points || 0,
                 date: row.created_at
             }));
         } catch (error) {
@@ -99,90 +122,349 @@ class BettingManager {
         }
     }
 
-    async placePrediction(userId, guildId, gameId, playerPuuid, predictedOutcome, channelId, gameStartTime, trackedPlayerName) {
+    // Accuracy per tracked player across every channel in the guild
+    async getUserPlayerStats(userId, guildId) {
+        if (!this.persistence.databaseAvailable) {
+            return [];
+        }
+
+        try {
+            const result = await this.persistence.pool.query(`
+                SELECT tracked_player_puuid, MAX(tracked_player_name) AS tracked_player_name,
+                       SUM(total_predictions) AS total_predictions, SUM(correct_predictions) AS correct_predictions,
+                       SUM(win_predictions) AS win_predictions, SUM(loss_predictions) AS loss_predictions,
+                       MAX(current_streak) AS current_streak, MAX(best_streak) AS best_streak,
+                       SUM(COALESCE(total_points, 0)) AS total_points
+                FROM user_prediction_accuracy 
+                WHERE user_id = $1 AND guild_id = $2 AND total_predictions > 0
+                GROUP BY tracked_player_puuid
+                ORDER BY SUM(total_predictions) DESC
+            `, [userId, guildId]);
+
+            return result.rows.map(row => {
+                const totalPredictions = parseInt(row.total_predictions);
+                const correctPredictions = parseInt(row.correct_predictions);
+
+                return {
+                    trackedPlayerPuuid: row.tracked_player_puuid,
+                    trackedPlayerName: row.tracked_player_name,
+                    totalPredictions,
+                    correctPredictions,
+                    accuracy: totalPredictions > 0 ? (correctPredictions / totalPredictions) * 100 : 0,
+                    winPredictions: parseInt(row.win_predictions),
+                    lossPredictions: parseInt(row.loss_predictions),
+                    currentStreak: parseInt(row.current_streak),
+                    bestStreak: parseInt(row.best_streak),
+                    totalPoints: parseInt(row.total_points)
+                };
+            });
+        } catch (error) {
+            console.error('Error getting user player stats:', error);
+            return [];
+        }
+    }
+
+    // Latest settled picks for a user across every tracked player in the guild
+    async getRecentPredictions(userId, guildId, limit = 5) {
+        if (!this.persistence.databaseAvailable) {
+            return [];
+        }
+
+        try {
+            const result = await this.persistence.pool.query(`
+                SELECT tracked_player_name, market, predicted_outcome, actual_outcome, was_correct, match_id, odds, points, created_at
+                FROM prediction_history 
+                WHERE user_id = $1 AND guild_id = $2
+                ORDER BY created_at DESC
+                LIMIT $3
+            `, [userId, guildId, limit]);
+
+            return result.rows.map(row => ({
+                trackedPlayerName: row.tracked_player_name,
+                market: row.market || 'outcome',
+                predictedOutcome: row.predicted_outcome,
+                actualOutcome: row.actual_outcome,
+                wasCorrect: row.was_correct,
+                matchId: row.match_id,
+                odds: row.odds ? parseFloat(row.odds) : EVEN_ODDS,
+                points: row.points || 0,
+                date: row.created_at
+            }));
+        } catch (error) {
+            console.error('Error getting recent predictions:', error);
+            return [];
+        }
+    }
+
+    // Weekly accuracy (weeks start Monday in the guild's timezone), oldest first
+    async getAccuracyTrend(userId, guildId, timezone = 'UTC', weeks = 8) {
+        if (!this.persistence.databaseAvailable) {
+            return [];
+        }
+
+        try {
+            const result = await this.persistence.pool.query(`
+                SELECT to_char(date_trunc('week', created_at AT TIME ZONE $3), 'YYYY-MM-DD') AS week_start,
+                       COUNT(*) AS total_predictions,
+                       COUNT(*) FILTER (WHERE was_correct) AS correct_predictions
+                FROM prediction_history 
+                WHERE user_id = $1 AND guild_id = $2
+                  AND created_at >= (date_trunc('week', NOW() AT TIME ZONE $3) AT TIME ZONE $3) - ($4::int - 1) * INTERVAL '1 week'
+                GROUP BY week_start
+                ORDER BY week_start ASC
+            `, [userId, guildId, timezone, weeks]);
+
+            return result.rows.map(row => {
+                const totalPredictions = parseInt(row.total_predictions);
+                const correctPredictions = parseInt(row.correct_predictions);
+
+                return {
+                    weekStart: row.week_start,
+                    totalPredictions,
+                    correctPredictions,
+                    accuracy: (correctPredictions / totalPredictions) * 100
+                };
+            });
+        } catch (error) {
+            console.error('Error getting accuracy trend:', error);
+            return [];
+        }
+    }
+
+    async placePrediction(userId, guildId, gameId, playerPuuid, predictedOutcome, channelId, gameStartTime, trackedPlayerName, market = 'outcome') {
         if (!this.persistence.databaseAvailable) {
             return { success: false, message: 'Database not available' };
         }
 
+        // One client for the whole transaction (see withdrawPrediction)
+        const client = await this.persistence.pool.connect();
+
         try {
-            await this.persistence.pool.query('BEGIN');
+            await client.query('BEGIN');
 
-            // Check if user already has a prediction on this game
-            const existingPrediction = await this.persistence.pool.query(`
+            // Lock in the odds shown on the panel for this outcome, or the prop's fixed price
+            const odds = market === 'outcome' ? await this.getPanelOdds(gameId, predictedOutcome) : getPropOdds(market, predictedOutcome);
+
+            // Check if user already has a prediction in this market for this game
+            const existingPrediction = await client.query(`
                 SELECT id, predicted_outcome FROM active_predictions 
-                WHERE user_id = $1 AND game_id = $2 AND status = 'active'
-            `, [userId, gameId]);
+                WHERE user_id = $1 AND game_id = $2 AND market = $3 AND status = 'active'
+                FOR UPDATE
+            `, [userId, gameId, market]);
 
             if (existingPrediction.rows.length > 0) {
                 // Update existing prediction instead of rejecting
                 const oldPrediction = existingPrediction.rows[0].predicted_outcome;
+
+                if (oldPrediction === predictedOutcome) {
+                    await client.query('ROLLBACK');
+                    return {
+                        success: true,
+                        action: 'unchanged',
+                        market,
+                        message: `You already predicted ${formatPick(market, predictedOutcome)} - nothing changed.`
+                    };
+                }
                 
                 // Update the prediction
-                await this.persistence.pool.query(`
+                await client.query(`
                     UPDATE active_predictions 
-                    SET predicted_outcome = $3, created_at = CURRENT_TIMESTAMP
-                    WHERE user_id = $1 AND game_id = $2
-                `, [userId, gameId, predictedOutcome]);
+                    SET predicted_outcome = $4, odds = $5, created_at = CURRENT_TIMESTAMP
+                    WHERE user_id = $1 AND game_id = $2 AND market = $3 AND status = 'active'
+                `, [userId, gameId, market, predictedOutcome, odds]);
+
+                // A stake always rides on the user's current win/loss prediction
+                if (market === 'outcome') {
+                    await client.query(`
+                        UPDATE active_bets 
+                        SET bet_outcome = $3, odds = $4
+                        WHERE user_id = $1 AND game_id = $2 AND status = 'active'
+                    `, [userId, gameId, predictedOutcome, odds]);
+                }
+
+                await this.recordPredictionChange(client, userId, guildId, channelId, gameId, market, 'changed', oldPrediction, predictedOutcome);
 
-                await this.persistence.pool.query('COMMIT');
+                await client.query('COMMIT');
 
                 return { 
                     success: true, 
-                    message: `Prediction updated! Now predicting ${predictedOutcome.toUpperCase()} (was ${oldPrediction.toUpperCase()})`
+                    action: 'changed',
+                    market,
+                    message: `Prediction changed: ${formatPick(market, oldPrediction)} → **${formatPick(market, predictedOutcome)}** at ${formatOdds(odds)} (${calculatePoints(odds)} points if correct)`
                 };
             }
 
             // Place new prediction
-            await this.persistence.pool.query(`
+            await client.query(`
                 INSERT INTO active_predictions (
                     user_id, guild_id, channel_id, game_id, tracked_player_puuid, 
-                    tracked_player_name, predicted_outcome, game_start_time
+                    tracked_player_name, predicted_outcome, game_start_time, odds, market
                 )
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-            `, [userId, guildId, channelId, gameId, playerPuuid, trackedPlayerName, predictedOutcome, gameStartTime]);
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `, [userId, guildId, channelId, gameId, playerPuuid, trackedPlayerName, predictedOutcome, gameStartTime, odds, market]);
+
+            await this.recordPredictionChange(client, userId, guildId, channelId, gameId, market, 'placed', null, predictedOutcome);
 
-            await this.persistence.pool.query('COMMIT');
+            await client.query('COMMIT');
 
             return { 
                 success: true, 
-                message: `Prediction placed! You predict ${predictedOutcome.toUpperCase()}`
+                action: 'placed',
+                market,
+                message: `Prediction placed! You predict ${formatPick(market, predictedOutcome)} at ${formatOdds(odds)} (${calculatePoints(odds)} points if correct)`
             };
         } catch (error) {
-            await this.persistence.pool.query('ROLLBACK');
+            await client.query('ROLLBACK');
             console.error('Error placing prediction:', error);
             
             // Provide more specific error messages
-            if (error.message?.includes('foreign key') || error.message?.includes('constraint')) {
+            if (error.code === '23505') {
+                return { success: false, message: 'Your prediction for this game was just updated - please try again!' };
+            } else if (error.message?.includes('foreign key') || error.message?.includes('constraint')) {
                 return { success: false, message: 'Game no longer exists for predictions!' };
             } else if (error.message?.includes('connection') || error.message?.includes('pool')) {
                 return { success: false, message: 'Database connection issue. Please try again!' };
             } else {
                 return { success: false, message: 'Unable to place prediction. Please try again!' };
             }
+        } finally {
+            client.release();
+        }
+    }
+
+    // Withdraw a prediction while the window is open; any stake on it is returned
+    async withdrawPrediction(userId, gameId, market = 'outcome') {
+        if (!this.persistence.databaseAvailable) {
+            return { success: false, message: 'Database not available' };
+        }
+
+        const client = await this.persistence.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Locked so a second withdraw click (or a stake) waits, then finds nothing left to refund
+            const existingPrediction = await client.query(`
+                SELECT * FROM active_predictions 
+                WHERE user_id = $1 AND game_id = $2 AND market = $3 AND status = 'active'
+                FOR UPDATE
+            `, [userId, gameId, market]);
+
+            if (existingPrediction.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return { success: false, message: 'You have no prediction to withdraw for this game.' };
+            }
+
+            const prediction = existingPrediction.rows[0];
+
+            await client.query(`
+                UPDATE active_predictions 
+                SET status = 'withdrawn', resolved_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [prediction.id]);
+
+            const refund = market === 'outcome' ? await this.refundBet(client, prediction, 'withdrawn') : 0;
+
+            await this.recordPredictionChange(
+                client, userId, prediction.guild_id, prediction.channel_id, gameId, market,
+                'withdrawn', prediction.predicted_outcome, null
+            );
+
+            await client.query('COMMIT');
+
+            return {
+                success: true,
+                action: 'withdrawn',
+                market,
+                message: `Prediction withdrawn: you no longer predict ${formatPick(market, prediction.predicted_outcome)}` +
+                    (refund > 0 ? `. Your ${refund}💎 stake was returned.` : '.')
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error withdrawing prediction:', error);
+            return { success: false, message: 'Unable to withdraw prediction. Please try again!' };
+        } finally {
+            client.release();
         }
     }
 
-    async resolvePredictions(gameId, actualOutcome, matchId = null) {
+    // Audit trail of every placed, changed and withdrawn prediction
+    async recordPredictionChange(client, userId, guildId, channelId, gameId, market, action, previousOutcome, newOutcome) {
+        await client.query(`
+            INSERT INTO prediction_changes (
+                user_id, guild_id, channel_id, game_id, market, action, previous_outcome, new_outcome
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [userId, guildId, channelId, gameId, market, action, previousOutcome, newOutcome]);
+    }
+
+    // Odds for an outcome as shown on the game's panel; even odds when the panel has none
+    async getPanelOdds(gameId, predictedOutcome) {
+        const result = await this.persistence.pool.query(`
+            SELECT win_odds, loss_odds FROM betting_panels WHERE game_id = $1
+        `, [gameId]);
+
+        const panel = result.rows[0];
+        const odds = panel ? (predictedOutcome === 'win' ? panel.win_odds : panel.loss_odds) : null;
+        return odds ? parseFloat(odds) : EVEN_ODDS;
+    }
+
+    async resolvePredictions(gameId, actualOutcome, matchId = null, trackedPlayerPuuid = null) {
         if (!this.persistence.databaseAvailable) {
             console.log('⚠️ Cannot resolve predictions - database not available');
             return [];
         }
 
+        const client = await this.persistence.pool.connect();
+
         try {
             console.log(`🎯 Resolving predictions for game ${gameId}, outcome: ${actualOutcome}`);
             
-            await this.persistence.pool.query('BEGIN');
-
-            // Get all active predictions for this game
-            const activePredictions = await this.persistence.pool.query(`
+            // Get all active predictions for this game (scoped to the tracked player when
+            // several roster members share the same game)
+            let query = `
                 SELECT * FROM active_predictions 
                 WHERE game_id = $1 AND status = 'active'
-            `, [gameId]);
+            `;
+            const params = [gameId];
+            
+            if (trackedPlayerPuuid) {
+                query += ` AND tracked_player_puuid = $2`;
+                params.push(trackedPlayerPuuid);
+            }
+            
+            // Prop markets are settled from the tracked player's participant data, fetched
+            // before any rows are locked
+            const pendingPredictions = await client.query(query, params);
+            const needsMatchData = pendingPredictions.rows.some(prediction => (prediction.market || 'outcome') !== 'outcome');
+            const matchData = needsMatchData && matchId ? await this.riotApi.getMatchDetails(matchId) : null;
+
+            await client.query('BEGIN');
+
+            // Locked so an overlapping resolve or expiry skips predictions settled here
+            const activePredictions = await client.query(`${query} FOR UPDATE`, params);
 
             const results = [];
 
             for (const prediction of activePredictions.rows) {
-                const wasCorrect = prediction.predicted_outcome === actualOutcome;
+                const market = prediction.market || 'outcome';
+                const marketOutcome = market === 'outcome'
+                    ? actualOutcome
+                    : resolveMarket(market, matchData, prediction.tracked_player_puuid);
+
+                if (!marketOutcome) {
+                    // Without match data the prop can't be settled, so it doesn't count either way
+                    await client.query(`
+                        UPDATE active_predictions 
+                        SET status = 'expired', resolved_at = CURRENT_TIMESTAMP
+                        WHERE id = $1
+                    `, [prediction.id]);
+                    continue;
+                }
+
+                const wasCorrect = prediction.predicted_outcome === marketOutcome;
+                const odds = prediction.odds ? parseFloat(prediction.odds) : EVEN_ODDS;
+                const points = wasCorrect ? calculatePoints(odds) : 0;
 
                 // Update user accuracy stats
                 await this.updateUserAccuracy(
@@ -192,135 +474,506 @@ class BettingManager {
                     prediction.tracked_player_puuid,
                     prediction.tracked_player_name,
                     wasCorrect,
-                    prediction.predicted_outcome
+                    prediction.predicted_outcome,
+                    points,
+                    client
                 );
 
                 // Mark prediction as resolved
-                await this.persistence.pool.query(`
+                await client.query(`
                     UPDATE active_predictions 
                     SET status = $2, resolved_at = CURRENT_TIMESTAMP
                     WHERE id = $1
                 `, [prediction.id, wasCorrect ? 'correct' : 'incorrect']);
 
+                // Pay out or collect any stake (stakes only ride on win/loss)
+                const bet = market === 'outcome' ? await this.settleBet(client, prediction, wasCorrect, actualOutcome, matchId) : null;
+
                 // Add to prediction history
-                await this.persistence.pool.query(`
+                await client.query(`
                     INSERT INTO prediction_history (
                         user_id, guild_id, channel_id, tracked_player_puuid, tracked_player_name,
-                        predicted_outcome, actual_outcome, was_correct, match_id, game_start_time
+                        predicted_outcome, actual_outcome, was_correct, match_id, game_start_time,
+                        odds, points, market
                     )
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
                 `, [
                     prediction.user_id, prediction.guild_id, prediction.channel_id,
                     prediction.tracked_player_puuid, prediction.tracked_player_name,
-                    prediction.predicted_outcome, actualOutcome, wasCorrect, matchId,
-                    prediction.game_start_time
+                    prediction.predicted_outcome, marketOutcome, wasCorrect, matchId,
+                    prediction.game_start_time, odds, points, market
                 ]);
 
                 results.push({
                     userId: prediction.user_id,
+                    market,
                     predictedOutcome: prediction.predicted_outcome,
-                    actualOutcome,
+                    actualOutcome: marketOutcome,
                     wasCorrect,
+                    odds,
+                    points,
+                    bet,
+                    guildId: prediction.guild_id,
                     channelId: prediction.channel_id,
+                    matchId,
                     trackedPlayerName: prediction.tracked_player_name
                 });
             }
 
-            await this.persistence.pool.query('COMMIT');
+            await client.query('COMMIT');
             console.log(`✅ Resolved ${results.length} predictions for game ${gameId}`);
+
+            await this.showPanelResult(gameId, actualOutcome, results, trackedPlayerPuuid);
             
             return results;
         } catch (error) {
-            await this.persistence.pool.query('ROLLBACK');
+            await client.query('ROLLBACK');
             console.error('Error resolving predictions:', error);
             return [];
+        } finally {
+            client.release();
         }
     }
 
-    async updateUserAccuracy(userId, guildId, channelId, trackedPlayerPuuid, trackedPlayerName, wasCorrect, predictedOutcome) {
+    // Unlock any achievements earned by the users in a set of resolved predictions.
+    // Returns userId -> newly unlocked achievement keys.
+    async evaluateAchievements(results, timezone = 'UTC') {
+        const unlocks = new Map();
+        if (!this.persistence.databaseAvailable) {
+            return unlocks;
+        }
+
+        const users = new Map();
+        for (const result of results) {
+            users.set(`${result.userId}:${result.guildId}`, result);
+        }
+
+        for (const { userId, guildId, matchId } of users.values()) {
+            const stats = await this.getAchievementStats(userId, guildId, timezone);
+            if (!stats) continue;
+
+            const unlocked = [];
+            for (const key of getEarnedAchievements(stats)) {
+                if (await this.persistence.saveAchievement(userId, guildId, key, matchId)) {
+                    unlocked.push(key);
+                }
+            }
+
+            if (unlocked.length > 0) {
+                console.log(`🏆 ${userId} unlocked ${unlocked.join(', ')} in guild ${guildId}`);
+                unlocks.set(userId, unlocked);
+            }
+        }
+
+        return unlocks;
+    }
+
+    async getAchievementStats(userId, guildId, timezone = 'UTC') {
         try {
-            // Get current stats
-            const currentStats = await this.getUserPredictionStats(userId, guildId, channelId, trackedPlayerPuuid, trackedPlayerName);
-            
-            // Calculate new values
-            const newTotalPredictions = currentStats.totalPredictions + 1;
-            const newCorrectPredictions = currentStats.correctPredictions + (wasCorrect ? 1 : 0);
-            const newAccuracy = (newCorrectPredictions / newTotalPredictions) * 100;
-            
-            // Update streak
-            let newCurrentStreak = wasCorrect ? currentStats.currentStreak + 1 : 0;
-            let newBestStreak = Math.max(currentStats.bestStreak, newCurrentStreak);
-            
-            // Update prediction type counts
-            const newWinPredictions = currentStats.winPredictions + (predictedOutcome === 'win' ? 1 : 0);
-            const newLossPredictions = currentStats.lossPredictions + (predictedOutcome === 'loss' ? 1 : 0);
-
-            // Update database
-            await this.persistence.pool.query(`
-                UPDATE user_prediction_accuracy 
-                SET total_predictions = $5,
-                    correct_predictions = $6,
-                    accuracy_percentage = $7,
-                    win_predictions = $8,
-                    loss_predictions = $9,
-                    current_streak = $10,
-                    best_streak = $11,
-                    last_prediction_at = CURRENT_TIMESTAMP,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE user_id = $1 AND guild_id = $2 AND channel_id = $3 AND tracked_player_puuid = $4
-            `, [
-                userId, guildId, channelId, trackedPlayerPuuid,
-                newTotalPredictions, newCorrectPredictions, newAccuracy,
-                newWinPredictions, newLossPredictions, newCurrentStreak, newBestStreak
-            ]);
+            const history = await this.persistence.pool.query(`
+                SELECT COUNT(*) AS total_predictions,
+                       COUNT(*) FILTER (WHERE was_correct) AS correct_predictions,
+                       COUNT(*) FILTER (WHERE was_correct AND COALESCE(market, 'outcome') = 'outcome' AND odds > $3) AS contrarian_correct,
+                       COUNT(*) FILTER (WHERE created_at >= date_trunc('week', NOW() AT TIME ZONE $4) AT TIME ZONE $4) AS week_predictions,
+                       COUNT(*) FILTER (WHERE was_correct AND created_at >= date_trunc('week', NOW() AT TIME ZONE $4) AT TIME ZONE $4) AS week_correct
+                FROM prediction_history 
+                WHERE user_id = $1 AND guild_id = $2
+            `, [userId, guildId, EVEN_ODDS, timezone]);
 
+            const streaks = await this.persistence.pool.query(`
+                SELECT COALESCE(MAX(best_streak), 0) AS best_streak 
+                FROM user_prediction_accuracy 
+                WHERE user_id = $1 AND guild_id = $2
+            `, [userId, guildId]);
+
+            const row = history.rows[0];
+            return {
+                totalPredictions: parseInt(row.total_predictions),
+                correctPredictions: parseInt(row.correct_predictions),
+                contrarianCorrect: parseInt(row.contrarian_correct),
+                weekPredictions: parseInt(row.week_predictions),
+                weekCorrect: parseInt(row.week_correct),
+                bestStreak: parseInt(streaks.rows[0].best_streak)
+            };
         } catch (error) {
-            console.error('Error updating user accuracy:', error);
+            console.error('Error getting achievement stats:', error);
+            return null;
         }
     }
 
-    async expirePredictions(gameId) {
+    // Runs inside the settlement transaction; errors propagate so the whole settlement rolls back
+    async updateUserAccuracy(userId, guildId, channelId, trackedPlayerPuuid, trackedPlayerName, wasCorrect, predictedOutcome, points, client) {
+        // Get current stats
+        const currentStats = await this.getUserPredictionStats(userId, guildId, channelId, trackedPlayerPuuid, trackedPlayerName, client);
+        
+        // Calculate new values
+        const newTotalPredictions = currentStats.totalPredictions + 1;
+        const newCorrectPredictions = currentStats.correctPredictions + (wasCorrect ? 1 : 0);
+        const newAccuracy = (newCorrectPredictions / newTotalPredictions) * 100;
+        
+        // Update streak
+        let newCurrentStreak = wasCorrect ? currentStats.currentStreak + 1 : 0;
+        let newBestStreak = Math.max(currentStats.bestStreak, newCurrentStreak);
+        
+        // Update prediction type counts
+        const newWinPredictions = currentStats.winPredictions + (predictedOutcome === 'win' ? 1 : 0);
+        const newLossPredictions = currentStats.lossPredictions + (predictedOutcome === 'loss' ? 1 : 0);
+        const newTotalPoints = currentStats.totalPoints + points;
+
+        // Update database
+        await client.query(`
+            UPDATE user_prediction_accuracy 
+            SET total_predictions = $5,
+                correct_predictions = $6,
+                accuracy_percentage = $7,
+                win_predictions = $8,
+                loss_predictions = $9,
+                current_streak = $10,
+                best_streak = $11,
+                total_points = $12,
+                last_prediction_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND guild_id = $2 AND channel_id = $3 AND tracked_player_puuid = $4
+        `, [
+            userId, guildId, channelId, trackedPlayerPuuid,
+            newTotalPredictions, newCorrectPredictions, newAccuracy,
+            newWinPredictions, newLossPredictions, newCurrentStreak, newBestStreak, newTotalPoints
+        ]);
+    }
+
+    async expirePredictions(gameId, trackedPlayerPuuid = null) {
         if (!this.persistence.databaseAvailable) {
             return [];
         }
 
+        const client = await this.persistence.pool.connect();
+
         try {
-            // Get active predictions and mark them as expired
-            const activePredictions = await this.persistence.pool.query(`
+            await client.query('BEGIN');
+
+            // Get active predictions (locked, see resolvePredictions) and mark them as expired
+            let query = `
                 SELECT * FROM active_predictions 
                 WHERE game_id = $1 AND status = 'active'
-            `, [gameId]);
+            `;
+            const params = [gameId];
 
-            await this.persistence.pool.query('BEGIN');
+            if (trackedPlayerPuuid) {
+                query += ` AND tracked_player_puuid = $2`;
+                params.push(trackedPlayerPuuid);
+            }
+
+            const activePredictions = await client.query(`${query} FOR UPDATE`, params);
 
             const expired = [];
             for (const prediction of activePredictions.rows) {
-                // Mark prediction as expired (no refunds needed for accuracy system)
-                await this.persistence.pool.query(`
+                await client.query(`
                     UPDATE active_predictions 
                     SET status = 'expired', resolved_at = CURRENT_TIMESTAMP
                     WHERE id = $1
                 `, [prediction.id]);
 
+                // The game could not be settled, so stakes go back to their owners
+                const refund = (prediction.market || 'outcome') === 'outcome' ? await this.refundBet(client, prediction) : 0;
+
                 expired.push({
                     userId: prediction.user_id,
+                    market: prediction.market || 'outcome',
                     predictedOutcome: prediction.predicted_outcome,
+                    refund,
                     channelId: prediction.channel_id,
                     trackedPlayerName: prediction.tracked_player_name
                 });
             }
 
-            await this.persistence.pool.query('COMMIT');
+            await client.query('COMMIT');
             console.log(`🔄 Expired ${expired.length} predictions for game ${gameId}`);
             
             return expired;
         } catch (error) {
-            await this.persistence.pool.query('ROLLBACK');
+            await client.query('ROLLBACK');
             console.error('Error expiring predictions:', error);
             return [];
+        } finally {
+            client.release();
         }
     }
 
+    // Credit economy management
+    async ensureUserCredits(userId, guildId, db = this.persistence.pool) {
+        await db.query(`
+            INSERT INTO user_credits (user_id, guild_id, balance)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (user_id, guild_id) DO NOTHING
+        `, [userId, guildId, STARTING_CREDITS]);
+    }
+
+    // today is the guild's current date key, used to decide whether the daily claim is available
+    async getUserCredits(userId, guildId, today = null) {
+        if (!this.persistence.databaseAvailable) {
+            return { balance: 0, totalWinnings: 0, totalLosses: 0, canClaimDaily: false };
+        }
+
+        try {
+            await this.ensureUserCredits(userId, guildId);
+
+            const result = await this.persistence.pool.query(`
+                SELECT balance, total_winnings, total_losses, last_daily_claim::text AS last_daily_claim
+                FROM user_credits 
+                WHERE user_id = $1 AND guild_id = $2
+            `, [userId, guildId]);
+
+            const row = result.rows[0];
+            return {
+                balance: row.balance,
+                totalWinnings: row.total_winnings,
+                totalLosses: row.total_losses,
+                lastDailyClaim: row.last_daily_claim,
+                canClaimDaily: !!today && row.last_daily_claim !== today
+            };
+        } catch (error) {
+            console.error('Error getting user credits:', error);
+            return { balance: 0, totalWinnings: 0, totalLosses: 0, canClaimDaily: false, error: true };
+        }
+    }
+
+    async claimDailyCredits(userId, guildId, today) {
+        if (!this.persistence.databaseAvailable) {
+            return { success: false, message: 'Database not available' };
+        }
+
+        try {
+            await this.ensureUserCredits(userId, guildId);
+
+            // Only one claim per guild day - the WHERE clause makes this safe against double clicks
+            const result = await this.persistence.pool.query(`
+                UPDATE user_credits 
+                SET balance = balance + $3, last_daily_claim = $4, updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1 AND guild_id = $2 
+                AND (last_daily_claim IS NULL OR last_daily_claim <> $4::date)
+                RETURNING balance
+            `, [userId, guildId, DAILY_CLAIM_CREDITS, today]);
+
+            if (result.rows.length === 0) {
+                return { success: false, message: 'You already claimed your daily credits today. Come back tomorrow!' };
+            }
+
+            return {
+                success: true,
+                amount: DAILY_CLAIM_CREDITS,
+                balance: result.rows[0].balance,
+                message: `Claimed ${DAILY_CLAIM_CREDITS}💎! New balance: ${result.rows[0].balance}💎`
+            };
+        } catch (error) {
+            console.error('Error claiming daily credits:', error);
+            return { success: false, message: 'Unable to claim daily credits. Please try again!' };
+        }
+    }
+
+    async getUserActiveBets(userId, guildId) {
+        if (!this.persistence.databaseAvailable) {
+            return [];
+        }
+
+        try {
+            const result = await this.persistence.pool.query(`
+                SELECT * FROM active_bets 
+                WHERE user_id = $1 AND guild_id = $2 AND status = 'active'
+                ORDER BY created_at DESC
+            `, [userId, guildId]);
+
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting user active bets:', error);
+            return [];
+        }
+    }
+
+    // Stake credits on the user's current prediction for a game; picking again replaces the stake
+    async placeBet(userId, guildId, gameId, amount) {
+        if (!this.persistence.databaseAvailable) {
+            return { success: false, message: 'Database not available' };
+        }
+
+        // One client for the whole transaction, so the balance row stays locked until COMMIT
+        const client = await this.persistence.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const predictionResult = await client.query(`
+                SELECT predicted_outcome, tracked_player_puuid, channel_id, game_start_time, odds 
+                FROM active_predictions 
+                WHERE user_id = $1 AND game_id = $2 AND market = 'outcome' AND status = 'active'
+                FOR UPDATE
+            `, [userId, gameId]);
+
+            if (predictionResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return { success: false, message: 'Predict WIN or LOSS first, then pick your stake!' };
+            }
+
+            const prediction = predictionResult.rows[0];
+            await this.ensureUserCredits(userId, guildId, client);
+
+            // Concurrent stakes by the same user wait here, then see each other's bet
+            const creditsResult = await client.query(`
+                SELECT balance FROM user_credits 
+                WHERE user_id = $1 AND guild_id = $2
+                FOR UPDATE
+            `, [userId, guildId]);
+
+            const existingBet = await client.query(`
+                SELECT id, bet_amount FROM active_bets 
+                WHERE user_id = $1 AND game_id = $2 AND status = 'active'
+            `, [userId, gameId]);
+
+            // Replacing a stake returns the previous one first
+            const previousStake = existingBet.rows.length > 0 ? existingBet.rows[0].bet_amount : 0;
+            const available = creditsResult.rows[0].balance + previousStake;
+
+            if (available < amount) {
+                await client.query('ROLLBACK');
+                return { success: false, message: `Not enough credits! You have ${available}💎 available.` };
+            }
+
+            const updatedCredits = await client.query(`
+                UPDATE user_credits 
+                SET balance = balance + $3, updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1 AND guild_id = $2
+                RETURNING balance
+            `, [userId, guildId, previousStake - amount]);
+
+            if (existingBet.rows.length > 0) {
+                await client.query(`
+                    UPDATE active_bets 
+                    SET bet_amount = $2, bet_outcome = $3, odds = $4, created_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [existingBet.rows[0].id, amount, prediction.predicted_outcome, prediction.odds]);
+            } else {
+                await client.query(`
+                    INSERT INTO active_bets (
+                        user_id, guild_id, game_id, player_puuid, bet_amount, 
+                        bet_outcome, channel_id, game_start_time, odds
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                `, [
+                    userId, guildId, gameId, prediction.tracked_player_puuid, amount,
+                    prediction.predicted_outcome, prediction.channel_id, prediction.game_start_time, prediction.odds
+                ]);
+            }
+
+            await client.query('COMMIT');
+
+            const odds = prediction.odds ? parseFloat(prediction.odds) : EVEN_ODDS;
+            return {
+                success: true,
+                message: `Staked ${amount}💎 on ${prediction.predicted_outcome.toUpperCase()} at ${formatOdds(odds)} (pays ${Math.round(amount * odds)}💎)! Balance: ${updatedCredits.rows[0].balance}💎`
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error placing bet:', error);
+
+            // Backstops from the schema: one active stake per game, and no negative balances
+            if (error.code === '23505') {
+                return { success: false, message: 'Your stake for this game was just updated - check your balance and try again.' };
+            } else if (error.code === '23514') {
+                return { success: false, message: 'Not enough credits for that stake!' };
+            }
+            return { success: false, message: 'Unable to place your stake. Please try again!' };
+        } finally {
+            client.release();
+        }
+    }
+
+    // A correct prediction returns the stake multiplied by the odds it was placed at
+    calculatePayout(bet) {
+        return Math.round(bet.bet_amount * (bet.odds ? parseFloat(bet.odds) : EVEN_ODDS));
+    }
+
+    // client is the connection holding resolvePredictions' transaction
+    async settleBet(client, prediction, wasCorrect, actualOutcome, matchId) {
+        const betResult = await client.query(`
+            SELECT * FROM active_bets 
+            WHERE user_id = $1 AND game_id = $2 AND player_puuid = $3 AND status = 'active'
+            FOR UPDATE
+        `, [prediction.user_id, prediction.game_id, prediction.tracked_player_puuid]);
+
+        if (betResult.rows.length === 0) {
+            return null;
+        }
+
+        const bet = betResult.rows[0];
+        const payout = wasCorrect ? this.calculatePayout(bet) : 0;
+        const result = wasCorrect ? 'won' : 'lost';
+
+        await client.query(`
+            UPDATE user_credits 
+            SET balance = balance + $3,
+                total_winnings = total_winnings + $4,
+                total_losses = total_losses + $5,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND guild_id = $2
+        `, [bet.user_id, bet.guild_id, payout, wasCorrect ? payout - bet.bet_amount : 0, wasCorrect ? 0 : bet.bet_amount]);
+
+        await client.query(`
+            UPDATE active_bets 
+            SET status = $2, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [bet.id, result]);
+
+        await client.query(`
+            INSERT INTO bet_history (
+                user_id, guild_id, bet_amount, bet_outcome, actual_outcome, 
+                result, payout_amount, match_id, game_id, channel_id, player_puuid, odds
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        `, [
+            bet.user_id, bet.guild_id, bet.bet_amount, bet.bet_outcome, actualOutcome,
+            result, payout, matchId, bet.game_id, bet.channel_id, bet.player_puuid, bet.odds
+        ]);
+
+        return { amount: bet.bet_amount, payout, result };
+    }
+
+    // client is the connection holding expirePredictions' or withdrawPrediction's transaction
+    async refundBet(client, prediction, reason = 'refunded') {
+        const betResult = await client.query(`
+            SELECT * FROM active_bets 
+            WHERE user_id = $1 AND game_id = $2 AND player_puuid = $3 AND status = 'active'
+            FOR UPDATE
+        `, [prediction.user_id, prediction.game_id, prediction.tracked_player_puuid]);
+
+        if (betResult.rows.length === 0) {
+            return 0;
+        }
+
+        const bet = betResult.rows[0];
+
+        await client.query(`
+            UPDATE user_credits 
+            SET balance = balance + $3, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND guild_id = $2
+        `, [bet.user_id, bet.guild_id, bet.bet_amount]);
+
+        await client.query(`
+            UPDATE active_bets 
+            SET status = $2, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [bet.id, reason]);
+
+        await client.query(`
+            INSERT INTO bet_history (
+                user_id, guild_id, bet_amount, bet_outcome, actual_outcome, 
+                result, payout_amount, game_id, channel_id, player_puuid
+            )
+            VALUES ($1, $2, $3, $4, 'none', $8, $3, $5, $6, $7)
+        `, [bet.user_id, bet.guild_id, bet.bet_amount, bet.bet_outcome, bet.game_id, bet.channel_id, bet.player_puuid, reason]);
+
+        console.log(`💸 Refunded ${bet.bet_amount}💎 to ${bet.user_id} for game ${bet.game_id}`);
+        return bet.bet_amount;
+    }
+
     async getUserActivePredictions(userId, channelId = null) {
         if (!this.persistence.databaseAvailable) {
             return [];
@@ -348,7 +1001,7 @@ class BettingManager {
         }
     }
 
-    createPredictionButtons(gameId, disabled = false) {
+    createPredictionButtons(gameId, disabled = false, wageringEnabled = false) {
         const predictionButtons = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId(`predict_win_${gameId}`)
@@ -375,27 +1028,74 @@ class BettingManager {
                 .setDisabled(disabled)
         );
 
-        return [predictionButtons, utilityButtons];
+        // One menu for every prop market; each pick is its own prediction
+        const propMenu = new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`prop_${gameId}`)
+                .setPlaceholder('🎲 Prop predictions: deaths, first blood, game length, KDA')
+                .setDisabled(disabled)
+                .addOptions(PROP_MARKETS.flatMap(market =>
+                    Object.entries(MARKETS[market].options).map(([option, label]) => ({
+                        label: label,
+                        description: `${MARKETS[market].label} • ${formatOdds(getPropOdds(market, option))} (${calculatePoints(getPropOdds(market, option))} pts)`,
+                        value: `${market}:${option}`
+                    }))
+                ))
+        );
+
+        if (!wageringEnabled) {
+            return [predictionButtons, propMenu, utilityButtons];
+        }
+
+        const stakeButtons = new ActionRowBuilder().addComponents(
+            ...STAKE_OPTIONS.map(amount => new ButtonBuilder()
+                .setCustomId(`stake_${amount}_${gameId}`)
+                .setLabel(`💎 Stake ${amount}`)
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(disabled))
+        );
+
+        return [predictionButtons, stakeButtons, propMenu, utilityButtons];
+    }
+
+    // Shown under the ephemeral confirmation so a prediction can be taken back
+    createWithdrawButton(gameId, market = 'outcome') {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`withdraw_${market}_${gameId}`)
+                .setLabel('↩️ Withdraw prediction')
+                .setStyle(ButtonStyle.Secondary)
+        );
     }
 
     // Store betting panel info for later updates
-    setBettingPanel(gameId, messageId, channelId, startTime) {
+    setBettingPanel(gameId, messageId, channelId, playerPuuid, startTime, wageringEnabled = false) {
         console.log(`🎰 Setting betting panel for game ${gameId} (${typeof gameId}) with 4-minute timer`);
         
         this.activeBettingPanels.set(gameId, {
             messageId,
             channelId,
+            playerPuuid,
             startTime,
-            betsCount: 0
+            wageringEnabled,
+            betsCount: 0,
+            lastTallyText: null
         });
 
         // Set 4-minute timeout to close betting
         const timeout = setTimeout(async () => {
             console.log(`⏰ Betting timer expired for game ${gameId}`);
             await this.closeBettingWindow(gameId);
-        }, 4 * 60 * 1000);
+        }, PREDICTION_WINDOW_MS);
 
         this.bettingTimeouts.set(gameId, timeout);
+
+        // Refresh the live tallies while the window is open
+        const interval = setInterval(async () => {
+            await this.refreshBettingPanel(gameId);
+        }, PANEL_REFRESH_MS);
+
+        this.panelRefreshIntervals.set(gameId, interval);
     }
 
     async closeBettingWindow(gameId) {
@@ -414,11 +1114,150 @@ class BettingManager {
             this.bettingTimeouts.delete(gameId);
         }
 
+        const interval = this.panelRefreshIntervals.get(gameId);
+        if (interval) {
+            clearInterval(interval);
+            this.panelRefreshIntervals.delete(gameId);
+        }
+
+        // Lock the panel: disabled buttons and the final split
+        await this.editPanelMessage(panelInfo.channelId, panelInfo.messageId, async (embed) => {
+            const tally = await this.getPredictionTally(gameId);
+            embed.setColor(0x808080)
+                .setTitle('🔒 PREDICTIONS CLOSED - GAME IN PROGRESS');
+            this.setPanelField(embed, LIVE_PICKS_FIELD, '📊 FINAL PICKS', this.formatTally(tally));
+            return this.createPredictionButtons(gameId, true, panelInfo.wageringEnabled);
+        });
+
         // Remove from active panels
         console.log(`🗑️ Deleting betting panel info for game ${gameId}`);
         this.activeBettingPanels.delete(gameId);
     }
 
+    async refreshBettingPanel(gameId) {
+        const panelInfo = this.activeBettingPanels.get(gameId);
+        if (!panelInfo) return;
+
+        const tally = await this.getPredictionTally(gameId);
+        const closesAt = Math.floor((panelInfo.startTime + PREDICTION_WINDOW_MS) / 1000);
+        const tallyText = `${this.formatTally(tally)}\n⏱️ Closes <t:${closesAt}:R>`;
+
+        // Discord renders the countdown itself, so only edit when the picks changed
+        if (tallyText === panelInfo.lastTallyText) return;
+        panelInfo.lastTallyText = tallyText;
+
+        await this.editPanelMessage(panelInfo.channelId, panelInfo.messageId, async (embed) => {
+            this.setPanelField(embed, LIVE_PICKS_FIELD, LIVE_PICKS_FIELD, tallyText);
+        });
+    }
+
+    // Edit the panel once the game is settled (duo panels only show their own player's result)
+    async showPanelResult(gameId, actualOutcome, results, trackedPlayerPuuid = null) {
+        try {
+            const panel = await this.persistence.getBettingPanel(gameId);
+            if (!panel || (trackedPlayerPuuid && panel.player_puuid !== trackedPlayerPuuid)) return;
+
+            const outcomeResults = results.filter(result => result.market === 'outcome');
+            const correct = outcomeResults.filter(result => result.wasCorrect).length;
+
+            await this.editPanelMessage(panel.channel_id, panel.message_id, async (embed) => {
+                const won = actualOutcome === 'win';
+                embed.setColor(won ? 0x00ff00 : 0xff0000)
+                    .setTitle(won ? '🏁 RESULT: VICTORY 🏆' : '🏁 RESULT: DEFEAT 💀');
+                this.setPanelField(embed, '🏁 RESULT', '🏁 RESULT',
+                    outcomeResults.length > 0
+                        ? `${correct} of ${outcomeResults.length} predicted the result correctly`
+                        : 'Nobody predicted this game');
+            });
+        } catch (error) {
+            console.error('Error showing panel result:', error);
+        }
+    }
+
+    // Tallies of active picks per outcome for a game
+    async getPredictionTally(gameId) {
+        const tally = { win: 0, loss: 0, props: 0 };
+        if (!this.persistence.databaseAvailable) return tally;
+
+        try {
+            const result = await this.persistence.pool.query(`
+                SELECT market, predicted_outcome, COUNT(*) AS count
+                FROM active_predictions 
+                WHERE game_id = $1 AND status IN ('active', 'correct', 'incorrect')
+                GROUP BY market, predicted_outcome
+            `, [gameId]);
+
+            for (const row of result.rows) {
+                const count = parseInt(row.count);
+                if ((row.market || 'outcome') !== 'outcome') {
+                    tally.props += count;
+                } else if (row.predicted_outcome === 'win' || row.predicted_outcome === 'loss') {
+                    tally[row.predicted_outcome] += count;
+                }
+            }
+        } catch (error) {
+            console.error('Error getting prediction tally:', error);
+        }
+
+        return tally;
+    }
+
+    formatTally(tally) {
+        const total = tally.win + tally.loss;
+        if (total === 0) {
+            return 'No picks yet - be the first!';
+        }
+
+        const winShare = Math.round((tally.win / total) * 100);
+        const barLength = 10;
+        const winBlocks = Math.round((winShare / 100) * barLength);
+        const bar = '🟩'.repeat(winBlocks) + '🟥'.repeat(barLength - winBlocks);
+
+        return `🏆 WIN **${tally.win}** (${winShare}%) ${bar} **${tally.loss}** (${100 - winShare}%) LOSS 💀` +
+            (tally.props > 0 ? `\n🎲 ${tally.props} prop pick${tally.props === 1 ? '' : 's'}` : '');
+    }
+
+    // Replace a named field on the panel embed, or append it
+    setPanelField(embed, currentName, newName, value) {
+        const fields = embed.data.fields || [];
+        const index = fields.findIndex(field => field.name === currentName);
+        const field = { name: newName, value, inline: false };
+
+        if (index === -1) {
+            embed.addFields(field);
+        } else {
+            embed.spliceFields(index, 1, field);
+        }
+    }
+
+    // Fetch the panel message and apply an update; the updater may return new components
+    async editPanelMessage(channelId, messageId, updateEmbed) {
+        if (!this.discordClient) return;
+
+        try {
+            const channel = await this.discordClient.channels.fetch(channelId);
+            const message = await channel.messages.fetch(messageId);
+            const embed = EmbedBuilder.from(message.embeds[0]);
+
+            const components = await updateEmbed(embed);
+            await message.edit({
+                embeds: [embed],
+                ...(components ? { components } : {})
+            });
+        } catch (error) {
+            console.error(`Error editing prediction panel ${messageId}:`, error.message);
+        }
+    }
+
+    // The tracked player a panel was posted for; picks on the panel are bound to them
+    async getPanelPlayerPuuid(gameId) {
+        const panelInfo = this.activeBettingPanels.get(gameId);
+        if (panelInfo) return panelInfo.playerPuuid;
+
+        const panel = await this.persistence.getBettingPanel(gameId);
+        return panel ? panel.player_puuid : null;
+    }
+
     getBettingTimeRemaining(gameId) {
         console.log(`🔍 Checking betting time for game ${gameId} (${typeof gameId}). Active panels: ${this.activeBettingPanels.size} total`);
         const panelInfo = this.activeBettingPanels.get(gameId);
@@ -430,7 +1269,7 @@ class BettingManager {
         }
 
         const elapsed = Date.now() - panelInfo.startTime;
-        const remaining = Math.max(0, (4 * 60 * 1000) - elapsed);
+        const remaining = Math.max(0, PREDICTION_WINDOW_MS - elapsed);
         const remainingSeconds = Math.floor(remaining / 1000);
         
         console.log(`⏰ Betting timer check for game ${gameId}: ${remainingSeconds}s remaining (elapsed: ${Math.floor(elapsed/1000)}s)`);
@@ -455,7 +1294,8 @@ class BettingManager {
     }
 
     // Enhanced prediction panel creation with team displays and stats
-    async createEnhancedPredictionPanel(gameAnalysis) {
+    // startTime must be the same one later passed to setBettingPanel, so the countdown matches the window
+    async createEnhancedPredictionPanel(gameAnalysis, { wageringEnabled = false, startTime = Date.now() } = {}) {
         try {
             const { trackedPlayer, teams, gameId, gameStartTime } = gameAnalysis;
 
@@ -463,6 +1303,9 @@ class BettingManager {
             if (!await this.shouldCreateBettingPanel(gameId)) {
                 return null; // Skip panel creation
             }
+
+            const odds = calculateOdds(gameAnalysis);
+            const winChance = Math.round(odds.winProbability * 100);
             
             // Format tracked player's champion stats
             const champStats = trackedPlayer.championStats;
@@ -512,7 +1355,7 @@ class BettingManager {
             const redTeamDisplay = teams.red.map(formatPlayerCompact).join('\n');
 
             // Get champion image for tracked player as main thumbnail
-            const trackedChampionImageUrl = `https://ddragon.leagueoflegends.com/cdn/14.1.1/img/champion/${trackedPlayer.championName.replace(/[^a-zA-Z0-9]/g, '')}.png`;
+            const trackedChampionImageUrl = this.riotApi.staticAssets.getChampionIconUrl(trackedPlayer.championName);
 
             // Create team composition visual summary
             const createTeamChampionDisplay = (team, teamName) => {
@@ -523,10 +1366,13 @@ class BettingManager {
             const blueChampions = createTeamChampionDisplay(teams.blue, '🔵 Blue');
             const redChampions = createTeamChampionDisplay(teams.red, '🔴 Red');
 
+            const queue = getRankedQueue(gameAnalysis.queueId);
+            const gameLabel = queue ? `LIVE ${queue.shortName.toUpperCase()} GAME` : 'LIVE RANKED GAME';
+
             const embed = new EmbedBuilder()
                 .setColor(0x00ff00)
-                .setTitle('🎯 LIVE RANKED GAME - PREDICTIONS OPEN 🎯')
-                .setDescription(`${trackedPlayer.summoner.gameName}#${trackedPlayer.summoner.tagLine} vs Enemy Team | ⏱️ Predictions close <t:${Math.floor(Date.now() / 1000) + 240}:R>`)
+                .setTitle(`🎯 ${gameLabel} - PREDICTIONS OPEN 🎯`)
+                .setDescription(`${trackedPlayer.summoner.gameName}#${trackedPlayer.summoner.tagLine} vs Enemy Team | ⏱️ Predictions close <t:${Math.floor((startTime + PREDICTION_WINDOW_MS) / 1000)}:R>`)
                 .setThumbnail(trackedChampionImageUrl)
                 .addFields(
                     {
@@ -554,21 +1400,29 @@ class BettingManager {
                         value: '\u200B',
                         inline: false
                     },
+                    {
+                        name: '📈 ODDS',
+                        value: `🏆 **WIN ${formatOdds(odds.win)}** (${winChance}%) • 💀 **LOSS ${formatOdds(odds.loss)}** (${100 - winChance}%)\n` +
+                            `*Correct calls score ${calculatePoints(odds.win)} / ${calculatePoints(odds.loss)} points*`,
+                        inline: false
+                    },
                     {
                         name: '🎯 MAKE YOUR PREDICTION',
-                        value: `Will **${trackedPlayer.summoner.gameName}** playing **${trackedPlayer.championName}** win this game?\n*Click below to predict and track your accuracy!*`,
+                        value: `Will **${trackedPlayer.summoner.gameName}** playing **${trackedPlayer.championName}** win this game?\n*Click below to predict and track your accuracy!*\n🎲 *Prop markets (deaths, first blood, game length, KDA) are in the menu.*` +
+                            (wageringEnabled ? `\n💎 *Then pick a stake - a correct prediction pays the stake times the odds.*` : ''),
                         inline: false
                     }
                 )
                 .setFooter({ text: 'LoL Paparazzi Predictions • Track your accuracy!' })
                 .setTimestamp();
 
-            const buttons = this.createPredictionButtons(gameId, false);
+            const buttons = this.createPredictionButtons(gameId, false, wageringEnabled);
 
             return { 
                 embeds: [embed], 
                 components: buttons,
-                gameAnalysis 
+                gameAnalysis,
+                odds
             };
         } catch (error) {
             console.error('Error creating enhanced betting panel:', error);
@@ -586,7 +1440,7 @@ class BettingManager {
                 .setFooter({ text: 'LoL Paparazzi Predictions • Track your accuracy!' })
                 .setTimestamp();
 
-            const buttons = this.createPredictionButtons(gameAnalysis.gameId, false);
+            const buttons = this.createPredictionButtons(gameAnalysis.gameId, false, wageringEnabled);
             return { embeds: [embed], components: buttons };
         }
     }
@@ -619,10 +1473,10 @@ class BettingManager {
         try {
             const result = await this.persistence.pool.query(`
                 SELECT user_id, total_predictions, correct_predictions, accuracy_percentage, 
-                       current_streak, best_streak, win_predictions, loss_predictions
+                       current_streak, best_streak, win_predictions, loss_predictions, total_points
                 FROM user_prediction_accuracy 
                 WHERE channel_id = $1 AND tracked_player_puuid = $2 AND total_predictions > 0
-                ORDER BY accuracy_percentage DESC, total_predictions DESC
+                ORDER BY total_points DESC, accuracy_percentage DESC, total_predictions DESC
                 LIMIT $3
             `, [channelId, trackedPlayerPuuid, limit]);
 
@@ -635,7 +1489,8 @@ class BettingManager {
                 currentStreak: row.current_streak,
                 bestStreak: row.best_streak,
                 winPredictions: row.win_predictions,
-                lossPredictions: row.loss_predictions
+                lossPredictions: row.loss_predictions,
+                totalPoints: row.total_points || 0
             }));
         } catch (error) {
             console.error('Error getting channel leaderboard:', error);
@@ -643,6 +1498,91 @@ class BettingManager {
         }
     }
 
+    // Standings built from prediction_history for a player, channel or whole guild over a time window
+    // (or an explicit since/until range, as used for seasons)
+    async getLeaderboard({ guildId, channelId = null, trackedPlayerPuuid = null, window = 'all', timezone = 'UTC', since = null, until = null }) {
+        if (!this.persistence.databaseAvailable) {
+            return [];
+        }
+
+        const windowInfo = LEADERBOARD_WINDOWS[window] || LEADERBOARD_WINDOWS.all;
+        const conditions = ['guild_id = $1'];
+        const params = [guildId];
+
+        if (channelId) {
+            params.push(channelId);
+            conditions.push(`channel_id = $${params.length}`);
+        }
+        if (trackedPlayerPuuid) {
+            params.push(trackedPlayerPuuid);
+            conditions.push(`tracked_player_puuid = $${params.length}`);
+        }
+        if (windowInfo.truncate) {
+            // Weeks and months start at midnight in the server's timezone
+            params.push(timezone);
+            conditions.push(`created_at >= date_trunc('${windowInfo.truncate}', NOW() AT TIME ZONE $${params.length}) AT TIME ZONE $${params.length}`);
+        }
+        if (since) {
+            params.push(since);
+            conditions.push(`created_at >= $${params.length}`);
+        }
+        if (until) {
+            params.push(until);
+            conditions.push(`created_at < $${params.length}`);
+        }
+
+        try {
+            const result = await this.persistence.pool.query(`
+                SELECT user_id,
+                       COUNT(*) AS total_predictions,
+                       COUNT(*) FILTER (WHERE was_correct) AS correct_predictions,
+                       COALESCE(SUM(points), 0) AS total_points,
+                       COUNT(DISTINCT tracked_player_puuid) AS players_predicted
+                FROM prediction_history
+                WHERE ${conditions.join(' AND ')}
+                GROUP BY user_id
+                ORDER BY total_points DESC, correct_predictions DESC, total_predictions DESC
+            `, params);
+
+            return result.rows.map((row, index) => {
+                const totalPredictions = parseInt(row.total_predictions);
+                const correctPredictions = parseInt(row.correct_predictions);
+
+                return {
+                    rank: index + 1,
+                    userId: row.user_id,
+                    totalPredictions,
+                    correctPredictions,
+                    accuracy: totalPredictions > 0 ? (correctPredictions / totalPredictions) * 100 : 0,
+                    totalPoints: parseInt(row.total_points),
+                    playersPredicted: parseInt(row.players_predicted)
+                };
+            });
+        } catch (error) {
+            console.error('Error getting leaderboard:', error);
+            return [];
+        }
+    }
+
+    // Close the guild's running season and archive its final standings
+    async endSeason(guildId, winnerRoleId = null) {
+        const season = await this.persistence.getActivePredictionSeason(guildId);
+        if (!season) {
+            return { success: false, message: 'No prediction season is running.' };
+        }
+
+        const endedAt = new Date();
+        const standings = await this.getLeaderboard({ guildId, since: season.started_at, until: endedAt });
+        const archived = await this.persistence.endPredictionSeason(season.id, endedAt, standings, winnerRoleId);
+
+        if (!archived) {
+            return { success: false, message: 'Could not end the season. Please try again.' };
+        }
+
+        console.log(`🏁 Ended prediction season "${season.name}" in guild ${guildId} with ${standings.length} ranked predictors`);
+        return { success: true, season: archived, standings };
+    }
+
     // Create accuracy display content for a user
     async createAccuracyDisplay(userId, guildId, channelId, trackedPlayerPuuid, trackedPlayerName) {
         try {
@@ -651,6 +1591,7 @@ class BettingManager {
 
             let content = `**📊 YOUR PREDICTION ACCURACY**\n\n`;
             content += `**Player:** ${trackedPlayerName}\n`;
+            content += `**Points:** ${stats.totalPoints}\n`;
             content += `**Total Predictions:** ${stats.totalPredictions}\n`;
             content += `**Correct Predictions:** ${stats.correctPredictions}\n`;
             content += `**Accuracy:** ${stats.accuracy.toFixed(1)}%\n`;
@@ -665,7 +1606,7 @@ class BettingManager {
                 content += `**Recent History:**\n`;
                 history.forEach(h => {
                     const icon = h.wasCorrect ? '✅' : '❌';
-                    content += `${icon} Predicted ${h.predictedOutcome.toUpperCase()}, was ${h.actualOutcome.toUpperCase()}\n`;
+                    content += `${icon} Predicted ${formatPick(h.market, h.predictedOutcome)} at ${formatOdds(h.odds)}, was ${formatPick(h.market, h.actualOutcome)}${h.wasCorrect ? ` (+${h.points} pts)` : ''}\n`;
                 });
             } else {
                 content += `**No prediction history yet** - Make your first prediction!`;
@@ -691,8 +1632,7 @@ class BettingManager {
             content += `**Player:** ${trackedPlayerName}\n\n`;
 
             leaderboard.forEach(entry => {
-                const medal = entry.rank === 1 ? '🥇' : entry.rank === 2 ? '🥈' : entry.rank === 3 ? '🥉' : `${entry.rank}.`;
-                content += `${medal} <@${entry.userId}> - ${entry.accuracy.toFixed(1)}% (${entry.correctPredictions}/${entry.totalPredictions})\n`;
+                content += `${getRankMedal(entry.rank)} <@${entry.userId}> - **${entry.totalPoints} pts** • ${entry.accuracy.toFixed(1)}% (${entry.correctPredictions}/${entry.totalPredictions})\n`;
                 content += `   • Streak: ${entry.currentStreak} | Best: ${entry.bestStreak}\n\n`;
             });
 
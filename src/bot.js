@@ -5,6 +5,7 @@ const RiotAPI = require('./riotApi');
 const DailyTracker = require('./dailyTracker');
 const BettingManager = require('./bettingManager');
 const createCommands = require('./commands');
+const { isValidPick } = require('./markets');
 
 validateConfig();
 
@@ -17,11 +18,15 @@ const client = new Client({
 
 const riotApi = new RiotAPI(config.riot.apiKey);
 const tracker = new DailyTracker(riotApi, client);
-const bettingManager = new BettingManager(tracker.persistence, riotApi);
+const bettingManager = new BettingManager(tracker.persistence, riotApi, client);
 
 // Make betting manager available to tracker
 tracker.bettingManager = bettingManager;
 
+// Store Data Dragon snapshots and Riot API responses alongside the rest of the bot's data
+riotApi.staticAssets.persistence = tracker.persistence;
+riotApi.rateLimiter.persistentCache = tracker.persistence;
+
 // Global access for debugging/monitoring (use in Railway console)
 global.showApiStats = () => riotApi.logDetailedStats();
 global.riotApi = riotApi;
@@ -45,6 +50,9 @@ client.once('ready', async () => {
         console.error('❌ Error registering commands:', error);
     }
     
+    // Champion names and icons from the stored snapshot; Data Dragon is checked in the background
+    await riotApi.loadChampionData();
+    
     await tracker.startTracking();
 });
 
@@ -70,8 +78,20 @@ client.on('interactionCreate', async interaction => {
                 await interaction.reply(errorMessage);
             }
         }
-    } else if (interaction.isButton()) {
-        // Handle button interactions for betting
+    } else if (interaction.isAutocomplete()) {
+        const command = client.commands.get(interaction.commandName);
+        if (!command || !command.autocomplete) return;
+
+        try {
+            await command.autocomplete(interaction);
+        } catch (error) {
+            console.error('Error handling autocomplete:', error);
+        }
+    } else if (interaction.isButton() || interaction.isStringSelectMenu()) {
+        // Leaderboard pages are handled by the /leaderboard command's own collector
+        if (interaction.customId.startsWith('lbpage_')) return;
+        
+        // Handle button and prop menu interactions for betting
         await handleBettingButtons(interaction);
     }
 });
@@ -90,6 +110,22 @@ async function handleBettingButtons(interaction) {
             const gameId = parseInt(parts[2]); // Convert to number to match Riot API
             
             await handlePredictionPlacement(interaction, gameId, outcome);
+        } else if (action === 'prop') {
+            // Menu values look like market:option, e.g. deaths:under
+            const gameId = parseInt(parts[1]);
+            const [market, option] = interaction.values[0].split(':');
+            
+            await handlePredictionPlacement(interaction, gameId, option, market);
+        } else if (action === 'withdraw') {
+            const market = parts[1];
+            const gameId = parseInt(parts[2]);
+            
+            await handlePredictionWithdrawal(interaction, gameId, market);
+        } else if (action === 'stake') {
+            const amount = parseInt(parts[1]);
+            const gameId = parseInt(parts[2]);
+            
+            await handleStakePlacement(interaction, gameId, amount);
         } else if (action === 'accuracy') {
             const gameId = parseInt(parts[1]);
             await handleAccuracyDisplay(interaction, gameId);
@@ -126,11 +162,24 @@ async function handleBettingButtons(interaction) {
     }
 }
 
-async function handlePredictionPlacement(interaction, gameId, outcome) {
+// Duo games share one panel, so use the player it was posted for rather than whoever is in the game
+async function getPanelPlayer(channelId, gameId) {
+    const puuid = await bettingManager.getPanelPlayerPuuid(gameId);
+    return puuid ? tracker.getTrackedPlayer(channelId, puuid) : null;
+}
+
+async function handlePredictionPlacement(interaction, gameId, outcome, market = 'outcome') {
     const userId = interaction.user.id;
     const guildId = interaction.guild.id;
     const channelId = interaction.channel.id;
     
+    if (!isValidPick(market, outcome)) {
+        return await interaction.reply({
+            content: '❌ Unknown prediction!',
+            ephemeral: true
+        });
+    }
+    
     // Check if prediction window is still open
     const timeRemaining = bettingManager.getBettingTimeRemaining(gameId);
     if (timeRemaining <= 0) {
@@ -140,28 +189,27 @@ async function handlePredictionPlacement(interaction, gameId, outcome) {
         });
     }
     
-    // Get tracked player info for this channel and game
-    const playerSession = tracker.getSessionForChannel(channelId);
-    if (!playerSession || !playerSession.currentGameId || playerSession.currentGameId !== gameId) {
+    // Get the tracked player this game's panel was posted for
+    const playerData = await getPanelPlayer(channelId, gameId);
+    if (!playerData) {
         return await interaction.reply({
             content: '❌ This game is no longer active!',
             ephemeral: true
         });
     }
     
-    // Get summoner info for prediction placement
-    const summoner = await riotApi.getSummonerByName(playerSession.originalInput);
     const gameStartTime = new Date();
-    const trackedPlayerName = `${summoner.gameName}#${summoner.tagLine}`;
     
     const result = await bettingManager.placePrediction(
-        userId, guildId, gameId, summoner.puuid, 
-        outcome, channelId, gameStartTime, trackedPlayerName
+        userId, guildId, gameId, playerData.puuid, 
+        outcome, channelId, gameStartTime, playerData.summonerName, market
     );
     
     if (result.success) {
+        const icons = { placed: '✅', changed: '🔄', unchanged: 'ℹ️' };
         await interaction.reply({
-            content: `✅ ${result.message}`,
+            content: `${icons[result.action] || '✅'} ${result.message}`,
+            components: [bettingManager.createWithdrawButton(gameId, market)],
             ephemeral: true
         });
     } else {
@@ -172,27 +220,69 @@ async function handlePredictionPlacement(interaction, gameId, outcome) {
     }
 }
 
+async function handlePredictionWithdrawal(interaction, gameId, market) {
+    // Withdrawing is only allowed while predictions are open
+    const timeRemaining = bettingManager.getBettingTimeRemaining(gameId);
+    if (timeRemaining <= 0) {
+        return await interaction.reply({
+            content: '🚫 Prediction window has closed - your prediction is locked in!',
+            ephemeral: true
+        });
+    }
+    
+    const result = await bettingManager.withdrawPrediction(interaction.user.id, gameId, market);
+    
+    await interaction.reply({
+        content: `${result.success ? '↩️' : '❌'} ${result.message}`,
+        ephemeral: true
+    });
+}
+
+async function handleStakePlacement(interaction, gameId, amount) {
+    const userId = interaction.user.id;
+    const guildId = interaction.guild.id;
+    
+    if (!tracker.isWageringEnabled(guildId)) {
+        return await interaction.reply({
+            content: '🚫 Wagering is turned off in this server!',
+            ephemeral: true
+        });
+    }
+    
+    // Stakes close together with predictions
+    const timeRemaining = bettingManager.getBettingTimeRemaining(gameId);
+    if (timeRemaining <= 0) {
+        return await interaction.reply({
+            content: '🚫 Prediction window has closed for this game!',
+            ephemeral: true
+        });
+    }
+    
+    const result = await bettingManager.placeBet(userId, guildId, gameId, amount);
+    
+    await interaction.reply({
+        content: `${result.success ? '💎' : '❌'} ${result.message}`,
+        ephemeral: true
+    });
+}
+
 async function handleAccuracyDisplay(interaction, gameId) {
     const userId = interaction.user.id;
     const guildId = interaction.guild.id;
     const channelId = interaction.channel.id;
     
     try {
-        // Get tracked player info for this channel and game
-        const playerSession = tracker.getSessionForChannel(channelId);
-        if (!playerSession || !playerSession.currentGameId || playerSession.currentGameId !== gameId) {
+        // Get the tracked player this game's panel was posted for
+        const playerData = await getPanelPlayer(channelId, gameId);
+        if (!playerData) {
             return await interaction.reply({
-                content: '❌ This game is no longer active!',
+                content: '❌ This game is no longer active! Use `/profile` to see your prediction stats any time.',
                 ephemeral: true
             });
         }
         
-        // Get summoner info
-        const summoner = await riotApi.getSummonerByName(playerSession.originalInput);
-        const trackedPlayerName = `${summoner.gameName}#${summoner.tagLine}`;
-        
         const response = await bettingManager.createAccuracyDisplay(
-            userId, guildId, channelId, summoner.puuid, trackedPlayerName
+            userId, guildId, channelId, playerData.puuid, playerData.summonerName
         );
         
         await interaction.reply({
@@ -212,21 +302,17 @@ async function handleLeaderboardDisplay(interaction, gameId) {
     const channelId = interaction.channel.id;
     
     try {
-        // Get tracked player info for this channel and game
-        const playerSession = tracker.getSessionForChannel(channelId);
-        if (!playerSession || !playerSession.currentGameId || playerSession.currentGameId !== gameId) {
+        // Get the tracked player this game's panel was posted for
+        const playerData = await getPanelPlayer(channelId, gameId);
+        if (!playerData) {
             return await interaction.reply({
                 content: '❌ This game is no longer active!',
                 ephemeral: true
             });
         }
         
-        // Get summoner info
-        const summoner = await riotApi.getSummonerByName(playerSession.originalInput);
-        const trackedPlayerName = `${summoner.gameName}#${summoner.tagLine}`;
-        
         const response = await bettingManager.createLeaderboardDisplay(
-            channelId, summoner.puuid, trackedPlayerName
+            channelId, playerData.puuid, playerData.summonerName
         );
         
         await interaction.reply({
@@ -0,0 +1,12 @@
+// Images are drawn in-process; without the native canvas module the bot falls back to text-only embeds
+let canvas = null;
+try {
+    canvas = require('@napi-rs/canvas');
+} catch (error) {
+    console.log('⚠️ Image rendering disabled - @napi-rs/canvas could not be loaded:', error.message);
+}
+
+module.exports = {
+    createCanvas: canvas ? canvas.createCanvas : null,
+    loadImage: canvas ? canvas.loadImage : null
+};
@@ -1,6 +1,43 @@
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle, embedLength } = require('discord.js');
+const { PLATFORMS, getMatchUrl } = require('./regions');
+const { QUEUE_SELECTIONS, DEFAULT_TRACKED_QUEUES, getRankedQueue, formatQueueList } = require('./queues');
+const { normalizeTimezone, getDateKey, addDays, getSupportedTimezones } = require('./timezones');
+const { LEADERBOARD_SCOPES, LEADERBOARD_WINDOWS, getRankMedal, getPageCount, getPage } = require('./leaderboards');
+const { ACHIEVEMENTS } = require('./achievements');
+const { formatPick } = require('./markets');
 
 function createCommands(riotApi, tracker) {
+    const formatRoster = (roster) => roster.map(playerData => `• **${playerData.summonerName}** (${formatQueueList(playerData.queues)})`).join('\n');
+    
+    const queueChoices = Object.entries(QUEUE_SELECTIONS).map(([key, selection]) => ({
+        name: selection.label,
+        value: key
+    }));
+    
+    // One line per tracked queue, e.g. "Flex: 2W-1L • +18 LP"
+    const formatQueueRecord = (dailyStats) => {
+        const queue = getRankedQueue(dailyStats.queueId);
+        const name = queue ? queue.shortName : `Queue ${dailyStats.queueId}`;
+        
+        if (dailyStats.gamesPlayed === 0) {
+            return `${name}: No games today`;
+        }
+        
+        const lpText = `${dailyStats.totalLPChange > 0 ? '+' : ''}${dailyStats.totalLPChange} LP`;
+        return `${name}: ${dailyStats.wins}W-${dailyStats.losses}L • ${lpText}`;
+    };
+    
+    // Suggest tracked players in this channel for commands that target one roster member
+    const autocompleteTrackedPlayer = async (interaction) => {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = tracker.getPlayersForChannel(interaction.channelId)
+            .filter(playerData => playerData.summonerName.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(playerData => ({ name: playerData.summonerName, value: playerData.summonerName }));
+        
+        await interaction.respond(choices);
+    };
+    
     return [
         {
             data: new SlashCommandBuilder()
@@ -9,12 +46,28 @@ function createCommands(riotApi, tracker) {
                 .addStringOption(option =>
                     option.setName('summoner')
                         .setDescription('Your Riot ID in format: GameName#TAG (e.g., Melvinbung#NA1)')
-                        .setRequired(true)),
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('region')
+                        .setDescription('Server the player plays on (inferred from the tag when omitted, e.g. #EUW)')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(PLATFORMS).map(([platform, info]) => ({
+                            name: info.label,
+                            value: platform
+                        }))))
+                .addStringOption(option =>
+                    option.setName('queues')
+                        .setDescription('Ranked queues to track (defaults to Solo/Duo)')
+                        .setRequired(false)
+                        .addChoices(...queueChoices)),
             async execute(interaction) {
                 const summonerName = interaction.options.getString('summoner');
+                const region = interaction.options.getString('region');
+                const queueSelection = interaction.options.getString('queues');
+                const queueIds = queueSelection ? QUEUE_SELECTIONS[queueSelection].queueIds : DEFAULT_TRACKED_QUEUES;
                 
                 try {
-                    const summoner = await riotApi.getSummonerByName(summonerName);
+                    const summoner = await riotApi.getSummonerByName(summonerName, region);
                     console.log('Summoner data:', summoner);
                     
                     if (!summoner) {
@@ -22,12 +75,13 @@ function createCommands(riotApi, tracker) {
                     }
                     
                     const displayName = `${summoner.gameName}#${summoner.tagLine}`;
-                    await tracker.setPlayer(interaction.channelId, displayName, summonerName);
+                    await tracker.setPlayer(interaction.channelId, summoner, summonerName, queueIds);
                     
+                    const roster = tracker.getPlayersForChannel(interaction.channelId);
                     const embed = new EmbedBuilder()
                         .setColor(0x00ff00)
                         .setTitle('✅ Tracking Setup Complete!')
-                        .setDescription(`Now tracking **${displayName}** daily performance in this channel!`)
+                        .setDescription(`Now tracking **${displayName}** (${PLATFORMS[summoner.region].label}, ${formatQueueList(queueIds)}) daily performance in this channel!\n\n**Tracked players (${roster.length}):**\n${formatRoster(roster)}`)
                         .setTimestamp()
                         .setFooter({ text: 'LoL Paparazzi' });
 
@@ -41,11 +95,11 @@ function createCommands(riotApi, tracker) {
                         .setTimestamp()
                         .setFooter({ text: 'LoL Paparazzi' });
                     
-                    if (error.message.startsWith('CHANNEL_OCCUPIED:')) {
+                    if (error.message.startsWith('ALREADY_TRACKING:')) {
                         const currentPlayer = error.message.split(':')[1];
-                        embed.setDescription(`This channel is already tracking **${currentPlayer}**.\n\nUse \`/stop\` first to stop tracking the current player, then try \`/setup\` again with the new player.`);
+                        embed.setDescription(`**${currentPlayer}** is already being tracked in this channel.`);
                     } else {
-                        embed.setDescription(`Could not find summoner "${summonerName}". Please check the spelling and try again.`);
+                        embed.setDescription(`Could not find summoner "${summonerName}". Please check the spelling and region, then try again.`);
                     }
 
                     await interaction.reply({ embeds: [embed] });
@@ -55,39 +109,121 @@ function createCommands(riotApi, tracker) {
         {
             data: new SlashCommandBuilder()
                 .setName('stop')
-                .setDescription('Stop tracking in this channel'),
+                .setDescription('Stop tracking a player in this channel')
+                .addStringOption(option =>
+                    option.setName('summoner')
+                        .setDescription('Riot ID of the tracked player to stop (required when several are tracked)')
+                        .setRequired(false)
+                        .setAutocomplete(true)),
+            autocomplete: autocompleteTrackedPlayer,
             async execute(interaction) {
                 const channelId = interaction.channelId;
-                const playerData = tracker.getTrackerForChannel(channelId);
-                const wasTracking = playerData !== undefined;
-                const trackedSummoner = wasTracking ? playerData.summonerName : null;
+                const roster = tracker.getPlayersForChannel(channelId);
+                const summonerInput = interaction.options.getString('summoner');
+                
+                let playerData = null;
+                if (summonerInput) {
+                    playerData = tracker.findPlayerInChannel(channelId, summonerInput);
+                } else if (roster.length === 1) {
+                    playerData = roster[0];
+                }
                 
-                if (wasTracking) {
-                    // Remove tracking for this channel
-                    tracker.removeTracking(channelId);
+                if (playerData) {
+                    // Remove tracking for this player only
+                    await tracker.removeTracking(channelId, playerData.puuid);
                 }
                 
                 const embed = new EmbedBuilder()
                     .setTimestamp()
                     .setFooter({ text: 'LoL Paparazzi' });
 
-                if (wasTracking) {
+                if (playerData) {
+                    const remaining = tracker.getPlayersForChannel(channelId);
                     embed.setColor(0xff9900)
                         .setTitle('🛑 Tracking Stopped')
-                        .setDescription(`No longer tracking **${trackedSummoner}** in this channel.`);
-                } else {
+                        .setDescription(`No longer tracking **${playerData.summonerName}** in this channel.` +
+                            (remaining.length > 0 ? `\n\n**Still tracking:**\n${formatRoster(remaining)}` : ''));
+                } else if (roster.length === 0) {
                     embed.setColor(0xff0000)
                         .setTitle('❌ No Active Tracking')
                         .setDescription('No players were being tracked in this channel.');
+                } else if (summonerInput) {
+                    embed.setColor(0xff0000)
+                        .setTitle('❌ Player Not Tracked')
+                        .setDescription(`**${summonerInput}** is not tracked in this channel.\n\n**Tracked players:**\n${formatRoster(roster)}`);
+                } else {
+                    embed.setColor(0xff9900)
+                        .setTitle('🤔 Which Player?')
+                        .setDescription(`This channel tracks ${roster.length} players. Use \`/stop summoner:<Riot ID>\` to choose one.\n\n**Tracked players:**\n${formatRoster(roster)}`);
                 }
 
                 await interaction.reply({ embeds: [embed] });
             }
         },
+        {
+            data: new SlashCommandBuilder()
+                .setName('queues')
+                .setDescription('Choose which ranked queues are tracked for a player in this channel')
+                .addStringOption(option =>
+                    option.setName('queues')
+                        .setDescription('Ranked queues to track')
+                        .setRequired(true)
+                        .addChoices(...queueChoices))
+                .addStringOption(option =>
+                    option.setName('summoner')
+                        .setDescription('Riot ID of the tracked player (required when several are tracked)')
+                        .setRequired(false)
+                        .setAutocomplete(true)),
+            autocomplete: autocompleteTrackedPlayer,
+            async execute(interaction) {
+                const channelId = interaction.channelId;
+                const roster = tracker.getPlayersForChannel(channelId);
+                const summonerInput = interaction.options.getString('summoner');
+                const selection = QUEUE_SELECTIONS[interaction.options.getString('queues')];
+                
+                let playerData = null;
+                if (summonerInput) {
+                    playerData = tracker.findPlayerInChannel(channelId, summonerInput);
+                } else if (roster.length === 1) {
+                    playerData = roster[0];
+                }
+                
+                const embed = new EmbedBuilder()
+                    .setTimestamp()
+                    .setFooter({ text: 'LoL Paparazzi' });
+                
+                if (playerData) {
+                    await tracker.setPlayerQueues(channelId, playerData.puuid, selection.queueIds);
+                    embed.setColor(0x00ff00)
+                        .setTitle('✅ Queues Updated')
+                        .setDescription(`Now tracking **${selection.label}** for **${playerData.summonerName}** in this channel.`);
+                } else if (roster.length === 0) {
+                    embed.setColor(0xff0000)
+                        .setTitle('❌ No Active Tracking')
+                        .setDescription('No players are being tracked in this channel.\n\nUse `/setup <summoner>` to start tracking!');
+                } else if (summonerInput) {
+                    embed.setColor(0xff0000)
+                        .setTitle('❌ Player Not Tracked')
+                        .setDescription(`**${summonerInput}** is not tracked in this channel.\n\n**Tracked players:**\n${formatRoster(roster)}`);
+                } else {
+                    embed.setColor(0xff9900)
+                        .setTitle('🤔 Which Player?')
+                        .setDescription(`This channel tracks ${roster.length} players. Use \`/queues summoner:<Riot ID>\` to choose one.\n\n**Tracked players:**\n${formatRoster(roster)}`);
+                }
+                
+                await interaction.reply({ embeds: [embed] });
+            }
+        },
         {
             data: new SlashCommandBuilder()
                 .setName('info')
-                .setDescription('Show current tracking information for this channel'),
+                .setDescription('Show current tracking information for this channel')
+                .addStringOption(option =>
+                    option.setName('summoner')
+                        .setDescription('Riot ID of a tracked player to show in detail')
+                        .setRequired(false)
+                        .setAutocomplete(true)),
+            autocomplete: autocompleteTrackedPlayer,
             async execute(interaction) {
                 const embed = new EmbedBuilder()
                     .setColor(0x0099ff)
@@ -95,11 +231,42 @@ function createCommands(riotApi, tracker) {
                     .setTimestamp()
                     .setFooter({ text: 'LoL Paparazzi' });
 
-                const playerData = tracker.getTrackerForChannel(interaction.channelId);
-                const dailyStats = tracker.dailyData.get(interaction.channelId);
+                const roster = tracker.getPlayersForChannel(interaction.channelId);
+                const summonerInput = interaction.options.getString('summoner');
+                
+                let playerData = null;
+                if (summonerInput) {
+                    playerData = tracker.findPlayerInChannel(interaction.channelId, summonerInput);
+                } else if (roster.length === 1) {
+                    playerData = roster[0];
+                }
+                const queueStats = playerData ? tracker.getPlayerDailyStats(interaction.channelId, playerData.puuid) : [];
+                const dailyStats = queueStats[0];
                 
-                if (!playerData) {
+                if (roster.length === 0) {
                     embed.setDescription('No player is currently being tracked in this channel.\n\nUse `/setup <summoner>` to start tracking!');
+                } else if (summonerInput && !playerData) {
+                    embed.setDescription(`**${summonerInput}** is not tracked in this channel.\n\n**Tracked players:**\n${formatRoster(roster)}`);
+                } else if (!playerData) {
+                    // Roster overview - one line per tracked player from today's in-memory stats
+                    embed.setDescription(`Tracking **${roster.length}** players in this channel. Use \`/info summoner:<Riot ID>\` for details.`);
+                    
+                    const fields = roster.slice(0, 25).map(rosterPlayer => {
+                        const playerQueueStats = tracker.getPlayerDailyStats(interaction.channelId, rosterPlayer.puuid);
+                        const status = rosterPlayer.currentGameId ? '🎮 In game' : '💤 Not in game';
+                        
+                        if (playerQueueStats.every(playerStats => playerStats.gamesPlayed === 0)) {
+                            return { name: rosterPlayer.summonerName, value: `${status}\nNo ranked games today`, inline: true };
+                        }
+                        
+                        return {
+                            name: rosterPlayer.summonerName,
+                            value: `${status}\n${playerQueueStats.map(formatQueueRecord).join('\n')}`,
+                            inline: true
+                        };
+                    });
+                    
+                    embed.addFields(...fields);
                 } else if (!dailyStats) {
                     embed.setDescription(`Tracking **${playerData.summonerName}** but no daily data available yet.`);
                 } else {
@@ -108,14 +275,14 @@ function createCommands(riotApi, tracker) {
                     
                     // Try to get current game status
                     try {
-                        const currentGame = await riotApi.getCurrentGame(summoner.puuid);
-                        const isInGame = currentGame && riotApi.isRankedSoloGame(currentGame);
+                        const currentGame = await riotApi.getCurrentGame(summoner.puuid, false, summoner.region);
+                        const isInGame = currentGame && riotApi.isRankedGame(currentGame, playerData.queues);
                         
                         if (isInGame && currentGame.participants) {
                             const participant = currentGame.participants.find(p => p.puuid === summoner.puuid);
                             if (participant && participant.championId) {
                                 const championName = await riotApi.getChampionNameById(participant.championId);
-                                const championImageUrl = `https://ddragon.leagueoflegends.com/cdn/14.1.1/img/champion/${championName.replace(/[^a-zA-Z0-9]/g, '')}.png`;
+                                const championImageUrl = riotApi.staticAssets.getChampionIconUrl(championName);
                                 embed.setThumbnail(championImageUrl);
                             }
                         }
@@ -127,7 +294,7 @@ function createCommands(riotApi, tracker) {
                         if (isInGame) {
                             fields.push({
                                 name: 'Status',
-                                value: '🎮 Currently in ranked game',
+                                value: `🎮 Currently in ${getRankedQueue(currentGame.gameQueueConfigId).name} game`,
                                 inline: true
                             });
                         } else {
@@ -139,30 +306,29 @@ function createCommands(riotApi, tracker) {
                         }
                         
                         // Today's games
+                        const rankedGames = queueStats.reduce((total, stats) => total + stats.gamesPlayed, 0);
                         fields.push({
                             name: "Today's Games",
-                            value: `${dailyStats.gamesPlayed} ranked${dailyStats.casualGames > 0 ? `, ${dailyStats.casualGames} casual` : ''}`,
+                            value: `${rankedGames} ranked${dailyStats.casualGames > 0 ? `, ${dailyStats.casualGames} casual` : ''}`,
                             inline: true
                         });
                         
-                        // Daily stats if available
-                        if (dailyStats.wins > 0 || dailyStats.losses > 0) {
-                            const winrate = Math.round((dailyStats.wins / (dailyStats.wins + dailyStats.losses)) * 100);
+                        // Per-queue record and LP change today
+                        for (const stats of queueStats) {
+                            const queue = getRankedQueue(stats.queueId);
+                            let value = 'No games today';
+                            
+                            if (stats.wins > 0 || stats.losses > 0) {
+                                const winrate = Math.round((stats.wins / (stats.wins + stats.losses)) * 100);
+                                const lpEmoji = stats.totalLPChange > 0 ? '📈' : stats.totalLPChange < 0 ? '📉' : '➖';
+                                value = `${stats.wins}W-${stats.losses}L (${winrate}% WR)\n${lpEmoji} ${stats.totalLPChange > 0 ? '+' : ''}${stats.totalLPChange} LP`;
+                            }
+                            
                             fields.push({
-                                name: "Today's Record",
-                                value: `${dailyStats.wins}W-${dailyStats.losses}L (${winrate}% WR)`,
+                                name: `Today's ${queue ? queue.shortName : 'Ranked'}`,
+                                value: value,
                                 inline: true
                             });
-                            
-                            // LP change today
-                            if (dailyStats.totalLPChange !== 0) {
-                                const lpEmoji = dailyStats.totalLPChange > 0 ? '📈' : '📉';
-                                fields.push({
-                                    name: "Today's LP",
-                                    value: `${lpEmoji} ${dailyStats.totalLPChange > 0 ? '+' : ''}${dailyStats.totalLPChange} LP`,
-                                    inline: true
-                                });
-                            }
                         }
                         
                         embed.addFields(...fields);
@@ -170,11 +336,124 @@ function createCommands(riotApi, tracker) {
                         console.error('Error fetching game status:', error);
                         embed.addFields({ name: 'Status', value: '⚠️ Error fetching status', inline: true });
                     }
+                    
+                    // LP over the last week for the player's main tracked queue
+                    const graph = await tracker.createLPTrendAttachment(interaction.channelId, playerData, dailyStats.queueId);
+                    if (graph) {
+                        embed.setImage(`attachment://${graph.name}`);
+                        return await interaction.reply({ embeds: [embed], files: [graph] });
+                    }
                 }
 
                 await interaction.reply({ embeds: [embed] });
             }
         },
+        {
+            data: new SlashCommandBuilder()
+                .setName('settings')
+                .setDescription('View or change LoL Paparazzi settings for this server')
+                .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+                .addStringOption(option =>
+                    option.setName('timezone')
+                        .setDescription('Timezone for the daily reset and midnight summary (e.g. America/Los_Angeles)')
+                        .setRequired(false)
+                        .setAutocomplete(true))
+                .addBooleanOption(option =>
+                    option.setName('wagering')
+                        .setDescription('Let members stake credits on their predictions')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('monthly_recap')
+                        .setDescription('Also post a monthly recap on the 1st (weekly recaps always go out on Mondays)')
+                        .setRequired(false)),
+            async autocomplete(interaction) {
+                const focused = interaction.options.getFocused().toLowerCase();
+                const choices = getSupportedTimezones()
+                    .filter(timezone => timezone.toLowerCase().includes(focused))
+                    .slice(0, 25)
+                    .map(timezone => ({ name: timezone, value: timezone }));
+                
+                await interaction.respond(choices);
+            },
+            async execute(interaction) {
+                if (!interaction.guild) {
+                    return await interaction.reply({
+                        content: '❌ Settings can only be changed in a server.',
+                        ephemeral: true
+                    });
+                }
+                
+                const guildId = interaction.guild.id;
+                const timezoneInput = interaction.options.getString('timezone');
+                const wagering = interaction.options.getBoolean('wagering');
+                const monthlyRecap = interaction.options.getBoolean('monthly_recap');
+                
+                const embed = new EmbedBuilder()
+                    .setTimestamp()
+                    .setFooter({ text: 'LoL Paparazzi' });
+                
+                if (timezoneInput || wagering !== null || monthlyRecap !== null) {
+                    const changes = [];
+                    
+                    if (timezoneInput) {
+                        const timezone = normalizeTimezone(timezoneInput);
+                        
+                        if (!timezone) {
+                            embed.setColor(0xff0000)
+                                .setTitle('❌ Unknown Timezone')
+                                .setDescription(`"${timezoneInput}" is not a recognized timezone. Use an IANA name such as \`America/Los_Angeles\` or \`Europe/Berlin\`.`);
+                            
+                            return await interaction.reply({ embeds: [embed], ephemeral: true });
+                        }
+                        
+                        await tracker.setGuildTimezone(guildId, timezone);
+                        changes.push(`Daily stats now reset at midnight **${timezone}** (today is ${getDateKey(timezone)}).`);
+                    }
+                    
+                    if (wagering !== null) {
+                        await tracker.setWageringEnabled(guildId, wagering);
+                        changes.push(wagering
+                            ? 'Wagering is **on** - new prediction panels include stake buttons.'
+                            : 'Wagering is **off** - predictions track accuracy only.');
+                    }
+                    
+                    if (monthlyRecap !== null) {
+                        await tracker.setMonthlyRecapEnabled(guildId, monthlyRecap);
+                        changes.push(monthlyRecap
+                            ? 'Monthly recaps are **on** - each tracked player gets one on the 1st.'
+                            : 'Monthly recaps are **off** - weekly recaps still go out on Mondays.');
+                    }
+                    
+                    embed.setColor(0x00ff00)
+                        .setTitle('✅ Settings Updated')
+                        .setDescription(changes.join('\n'));
+                } else {
+                    const settings = tracker.getGuildSettings(guildId);
+                    embed.setColor(0x0099ff)
+                        .setTitle('⚙️ Server Settings')
+                        .addFields(
+                            {
+                                name: '🕛 Timezone',
+                                value: `${settings.timezone} (today is ${getDateKey(settings.timezone)})`,
+                                inline: false
+                            },
+                            {
+                                name: '💎 Wagering',
+                                value: settings.wageringEnabled ? 'On' : 'Off',
+                                inline: false
+                            },
+                            {
+                                name: '📆 Monthly Recap',
+                                value: settings.monthlyRecap ? 'On' : 'Off',
+                                inline: false
+                            }
+                        )
+                        .setDescription('Use `/settings timezone:<name>` to change when the daily reset and summary happen, `/settings wagering:<true|false>` to toggle credit stakes, or `/settings monthly_recap:<true|false>` to toggle monthly recaps.');
+                }
+                
+                await interaction.reply({ embeds: [embed] });
+            }
+        },
         {
             data: new SlashCommandBuilder()
                 .setName('join')
@@ -305,6 +584,521 @@ function createCommands(riotApi, tracker) {
                 }
             }
         },
+        {
+            data: new SlashCommandBuilder()
+                .setName('history')
+                .setDescription('Look back at the daily summary for a past day or the last few days')
+                .addStringOption(option =>
+                    option.setName('date')
+                        .setDescription('Day to show, as YYYY-MM-DD (in the server timezone)')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('days')
+                        .setDescription('Show the last N days instead, including today')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(30))
+                .addStringOption(option =>
+                    option.setName('summoner')
+                        .setDescription('Tracked player to show (defaults to everyone in this channel)')
+                        .setRequired(false)
+                        .setAutocomplete(true)),
+            autocomplete: autocompleteTrackedPlayer,
+            async execute(interaction) {
+                const channelId = interaction.channelId;
+                const roster = tracker.getPlayersForChannel(channelId);
+                const dateInput = interaction.options.getString('date');
+                const days = interaction.options.getInteger('days');
+                const summonerInput = interaction.options.getString('summoner');
+                const today = tracker.getToday(channelId);
+                
+                const embed = new EmbedBuilder()
+                    .setColor(0xff0000)
+                    .setTimestamp()
+                    .setFooter({ text: 'LoL Paparazzi' });
+                
+                if (roster.length === 0) {
+                    embed.setTitle('❌ No Active Tracking')
+                        .setDescription('No players are tracked in this channel. Use `/setup` first.');
+                    return await interaction.reply({ embeds: [embed], ephemeral: true });
+                }
+                
+                const selectedPlayer = summonerInput ? tracker.findPlayerInChannel(channelId, summonerInput) : null;
+                const players = summonerInput ? [selectedPlayer].filter(Boolean) : roster;
+                if (players.length === 0) {
+                    embed.setTitle('❌ Player Not Tracked')
+                        .setDescription(`**${summonerInput}** is not tracked in this channel.\n\n**Tracked players:**\n${formatRoster(roster)}`);
+                    return await interaction.reply({ embeds: [embed], ephemeral: true });
+                }
+                
+                if (dateInput && days) {
+                    embed.setTitle('❌ Pick One')
+                        .setDescription('Use either `date` for a single day or `days` for the last few days, not both.');
+                    return await interaction.reply({ embeds: [embed], ephemeral: true });
+                }
+                
+                // A single date, or the last N days ending today
+                let startDate = addDays(today, -((days || 1) - 1));
+                let dayCount = days || 1;
+                if (dateInput) {
+                    const date = dateInput.trim();
+                    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || addDays(date, 0) !== date) {
+                        embed.setTitle('❌ Invalid Date')
+                            .setDescription(`"${dateInput}" is not a valid date. Use the format YYYY-MM-DD, e.g. \`${addDays(today, -1)}\`.`);
+                        return await interaction.reply({ embeds: [embed], ephemeral: true });
+                    }
+                    
+                    if (date > today || date < addDays(today, -(tracker.dailyRetentionDays - 1))) {
+                        embed.setTitle('❌ Out of Range')
+                            .setDescription(`History is kept for the last ${tracker.dailyRetentionDays} days, up to today (${today}).`);
+                        return await interaction.reply({ embeds: [embed], ephemeral: true });
+                    }
+                    
+                    startDate = date;
+                    dayCount = 1;
+                }
+                
+                await interaction.deferReply();
+                
+                const history = [];
+                for (const playerData of players) {
+                    history.push(...await tracker.loadDailyHistory(channelId, playerData.puuid, addDays(startDate, dayCount), dayCount));
+                }
+                history.sort((a, b) => b.dailyStats.date.localeCompare(a.dailyStats.date));
+                
+                const period = dayCount === 1 ? startDate : `${startDate} to ${addDays(startDate, dayCount - 1)}`;
+                if (history.length === 0) {
+                    embed.setColor(0x808080)
+                        .setTitle(`📊 No Games - ${period}`)
+                        .setDescription(`No ranked games were tracked for ${players.length === 1 ? `**${players[0].summonerName}**` : 'this channel'} in that period.`);
+                    return await interaction.editReply({ embeds: [embed] });
+                }
+                
+                // Discord allows 10 embeds and 6000 embed characters per message
+                const embeds = [];
+                let totalLength = 0;
+                for (const { dailyStats, games } of history.slice(0, 10)) {
+                    const dayEmbed = tracker.createDailySummaryEmbed(dailyStats, games);
+                    const length = embedLength(dayEmbed);
+                    if (totalLength + length > 6000) break;
+                    embeds.push(dayEmbed);
+                    totalLength += length;
+                }
+                await interaction.editReply({
+                    content: history.length > embeds.length ? `📚 Showing the ${embeds.length} most recent of ${history.length} daily summaries for ${period}; more days omitted. Narrow it down with \`date\` or \`summoner\`.` : null,
+                    embeds
+                });
+            }
+        },
+        {
+            data: new SlashCommandBuilder()
+                .setName('leaderboard')
+                .setDescription('Show prediction standings for a player, this channel or the whole server')
+                .addStringOption(option =>
+                    option.setName('scope')
+                        .setDescription('Whose predictions to rank (defaults to the whole server)')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(LEADERBOARD_SCOPES).map(([key, scope]) => ({ name: scope.label, value: key }))))
+                .addStringOption(option =>
+                    option.setName('window')
+                        .setDescription('Time window (defaults to all time)')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(LEADERBOARD_WINDOWS).map(([key, window]) => ({ name: window.label, value: key }))))
+                .addStringOption(option =>
+                    option.setName('summoner')
+                        .setDescription('Tracked player for the player scope (required when several are tracked)')
+                        .setRequired(false)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('season')
+                        .setDescription('Show a prediction season by name, including past seasons')
+                        .setRequired(false)
+                        .setAutocomplete(true)),
+            async autocomplete(interaction) {
+                const focused = interaction.options.getFocused(true);
+                if (focused.name !== 'season') {
+                    return await autocompleteTrackedPlayer(interaction);
+                }
+                
+                const seasons = interaction.guild
+                    ? await tracker.persistence.getPredictionSeasons(interaction.guild.id)
+                    : [];
+                const choices = seasons
+                    .filter(season => season.name.toLowerCase().includes(focused.value.toLowerCase()))
+                    .slice(0, 25)
+                    .map(season => ({ name: `${season.name}${season.ended_at ? '' : ' (running)'}`, value: season.name }));
+                
+                await interaction.respond(choices);
+            },
+            async execute(interaction) {
+                const bettingManager = tracker.bettingManager;
+                if (!interaction.guild || !bettingManager) {
+                    return await interaction.reply({
+                        content: '❌ Leaderboards are not available here!',
+                        ephemeral: true
+                    });
+                }
+                
+                const channelId = interaction.channelId;
+                const guildId = interaction.guild.id;
+                const seasonInput = interaction.options.getString('season');
+                const window = seasonInput ? 'season' : interaction.options.getString('window') || 'all';
+                const scope = interaction.options.getString('scope') || 'guild';
+                
+                // Season standings start when the season began. Ended seasons show their archived server standings;
+                // channel and player standings are rebuilt from prediction history over the season's dates
+                let season = null;
+                if (window === 'season') {
+                    season = seasonInput
+                        ? await tracker.persistence.getPredictionSeason(guildId, seasonInput)
+                        : await tracker.persistence.getActivePredictionSeason(guildId);
+                    
+                    if (!season) {
+                        return await interaction.reply({
+                            content: seasonInput
+                                ? `❌ No prediction season called **${seasonInput}** in this server.`
+                                : '📅 No prediction season is running. An admin can start one with `/season start`.',
+                            ephemeral: true
+                        });
+                    }
+                }
+                
+                let playerData = null;
+                if (scope === 'player') {
+                    const roster = tracker.getPlayersForChannel(channelId);
+                    const summonerInput = interaction.options.getString('summoner');
+                    
+                    if (summonerInput) {
+                        playerData = tracker.findPlayerInChannel(channelId, summonerInput);
+                    } else if (roster.length === 1) {
+                        playerData = roster[0];
+                    }
+                    
+                    if (!playerData) {
+                        return await interaction.reply({
+                            content: roster.length === 0
+                                ? '❌ No players are tracked in this channel.'
+                                : `🤔 Pick a player with \`summoner\`:\n${formatRoster(roster)}`,
+                            ephemeral: true
+                        });
+                    }
+                }
+                
+                await interaction.deferReply();
+                
+                const entries = season && season.ended_at && scope === 'guild'
+                    ? season.final_standings || []
+                    : await bettingManager.getLeaderboard({
+                        guildId,
+                        channelId: scope === 'guild' ? null : channelId,
+                        trackedPlayerPuuid: playerData ? playerData.puuid : null,
+                        window,
+                        timezone: tracker.getGuildTimezone(guildId),
+                        since: season ? season.started_at : null,
+                        until: season ? season.ended_at : null
+                    });
+                
+                const scopeText = playerData
+                    ? `**${playerData.summonerName}**`
+                    : scope === 'channel' ? `<#${channelId}>` : `**${interaction.guild.name}**`;
+                const title = season
+                    ? `🏅 ${season.name}${season.ended_at ? ' - Final Standings' : ' - Season Standings'}`
+                    : `🏅 Prediction Leaderboard - ${LEADERBOARD_WINDOWS[window].label}`;
+                const pageCount = getPageCount(entries);
+                
+                const buildPage = (page) => {
+                    const rows = getPage(entries, page).map(entry =>
+                        `${getRankMedal(entry.rank)} <@${entry.userId}> - **${entry.totalPoints} pts** • ${entry.accuracy.toFixed(1)}% (${entry.correctPredictions}/${entry.totalPredictions})` +
+                        (scope === 'player' ? '' : ` • ${entry.playersPredicted} player${entry.playersPredicted === 1 ? '' : 's'}`)
+                    );
+                    
+                    const embed = new EmbedBuilder()
+                        .setColor(0xffd700)
+                        .setTitle(title)
+                        .setDescription(`${scopeText}\n\n${rows.length > 0 ? rows.join('\n') : '*No predictions in this window yet.*'}`)
+                        .setTimestamp()
+                        .setFooter({ text: `LoL Paparazzi • Page ${page + 1}/${pageCount}` });
+                    
+                    const buttons = new ActionRowBuilder().addComponents(
+                        new ButtonBuilder()
+                            .setCustomId('lbpage_prev')
+                            .setLabel('◀ Previous')
+                            .setStyle(ButtonStyle.Secondary)
+                            .setDisabled(page === 0),
+                        new ButtonBuilder()
+                            .setCustomId('lbpage_next')
+                            .setLabel('Next ▶')
+                            .setStyle(ButtonStyle.Secondary)
+                            .setDisabled(page >= pageCount - 1)
+                    );
+                    
+                    return { embeds: [embed], components: pageCount > 1 ? [buttons] : [] };
+                };
+                
+                let page = 0;
+                const message = await interaction.editReply(buildPage(page));
+                if (pageCount <= 1) return;
+                
+                // Page buttons stay live for 5 minutes and only answer whoever ran the command
+                const collector = message.createMessageComponentCollector({
+                    filter: buttonInteraction => buttonInteraction.customId.startsWith('lbpage_'),
+                    time: 5 * 60 * 1000
+                });
+                
+                collector.on('collect', async buttonInteraction => {
+                    if (buttonInteraction.user.id !== interaction.user.id) {
+                        return await buttonInteraction.reply({
+                            content: '🔒 Run `/leaderboard` yourself to flip through the standings.',
+                            ephemeral: true
+                        });
+                    }
+                    
+                    page = buttonInteraction.customId === 'lbpage_next'
+                        ? Math.min(page + 1, pageCount - 1)
+                        : Math.max(page - 1, 0);
+                    await buttonInteraction.update(buildPage(page));
+                });
+                
+                collector.on('end', async () => {
+                    try {
+                        await interaction.editReply({ components: [] });
+                    } catch (error) {
+                        console.error('Error removing leaderboard buttons:', error.message);
+                    }
+                });
+            }
+        },
+        {
+            data: new SlashCommandBuilder()
+                .setName('profile')
+                .setDescription("Show a member's prediction record, recent picks and achievements")
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to look up (defaults to you)')
+                        .setRequired(false)),
+            async execute(interaction) {
+                const bettingManager = tracker.bettingManager;
+                if (!interaction.guild || !bettingManager) {
+                    return await interaction.reply({
+                        content: '❌ Profiles are only available in a server.',
+                        ephemeral: true
+                    });
+                }
+                
+                await interaction.deferReply();
+                
+                const guildId = interaction.guild.id;
+                const user = interaction.options.getUser('user') || interaction.user;
+                const [playerStats, recentPicks, trend, unlocked] = await Promise.all([
+                    bettingManager.getUserPlayerStats(user.id, guildId),
+                    bettingManager.getRecentPredictions(user.id, guildId, 5),
+                    bettingManager.getAccuracyTrend(user.id, guildId, tracker.getGuildTimezone(guildId)),
+                    tracker.persistence.getUserAchievements(user.id, guildId)
+                ]);
+                
+                const embed = new EmbedBuilder()
+                    .setColor(0x9b59b6)
+                    .setTitle(`🪪 ${user.username}'s Prediction Profile`)
+                    .setThumbnail(user.displayAvatarURL())
+                    .setTimestamp()
+                    .setFooter({ text: 'LoL Paparazzi' });
+                
+                if (playerStats.length === 0) {
+                    embed.setDescription('*No settled predictions yet - pick WIN or LOSS on the next game panel!*');
+                } else {
+                    const totals = playerStats.reduce((sum, stats) => ({
+                        predictions: sum.predictions + stats.totalPredictions,
+                        correct: sum.correct + stats.correctPredictions,
+                        points: sum.points + stats.totalPoints,
+                        wins: sum.wins + stats.winPredictions,
+                        losses: sum.losses + stats.lossPredictions
+                    }), { predictions: 0, correct: 0, points: 0, wins: 0, losses: 0 });
+                    
+                    const outcomePicks = totals.wins + totals.losses;
+                    const winShare = outcomePicks > 0 ? Math.round((totals.wins / outcomePicks) * 100) : 0;
+                    const bias = outcomePicks === 0 ? 'No WIN/LOSS picks yet'
+                        : winShare >= 60 ? `Optimist - picks WIN ${winShare}% of the time`
+                        : winShare <= 40 ? `Doomer - picks LOSS ${100 - winShare}% of the time`
+                        : `Balanced - ${winShare}% WIN / ${100 - winShare}% LOSS`;
+                    
+                    embed.setDescription(
+                        `**${totals.points} pts** • ${((totals.correct / totals.predictions) * 100).toFixed(1)}% accuracy (${totals.correct}/${totals.predictions})\n` +
+                        `🔥 Best streak: ${Math.max(...playerStats.map(stats => stats.bestStreak))}\n` +
+                        `⚖️ ${bias}`
+                    );
+                    
+                    embed.addFields({
+                        name: '🎯 By Tracked Player',
+                        value: playerStats.slice(0, 6).map(stats =>
+                            `• **${stats.trackedPlayerName}** - ${stats.accuracy.toFixed(1)}% (${stats.correctPredictions}/${stats.totalPredictions}) • ${stats.totalPoints} pts • streak ${stats.currentStreak} (best ${stats.bestStreak})`
+                        ).join('\n'),
+                        inline: false
+                    });
+                }
+                
+                if (recentPicks.length > 0) {
+                    embed.addFields({
+                        name: '🕑 Recent Picks',
+                        value: recentPicks.map(pick => {
+                            const when = `<t:${Math.floor(new Date(pick.date).getTime() / 1000)}:R>`;
+                            const match = pick.matchId ? ` • [match](${getMatchUrl(pick.matchId)})` : '';
+                            return `${pick.wasCorrect ? '✅' : '❌'} ${formatPick(pick.market, pick.predictedOutcome)} on ${pick.trackedPlayerName} ${when}${match}`;
+                        }).join('\n'),
+                        inline: false
+                    });
+                }
+                
+                if (trend.length > 0) {
+                    embed.addFields({
+                        name: '📈 Weekly Accuracy',
+                        value: trend.map(week => {
+                            const blocks = Math.round(week.accuracy / 10);
+                            return `\`${week.weekStart}\` ${'█'.repeat(blocks)}${'░'.repeat(10 - blocks)} ${Math.round(week.accuracy)}% (${week.correctPredictions}/${week.totalPredictions})`;
+                        }).join('\n'),
+                        inline: false
+                    });
+                }
+                
+                const unlockedKeys = new Map(unlocked.map(row => [row.achievement_key, row]));
+                const achievementLines = Object.entries(ACHIEVEMENTS).map(([key, achievement]) => {
+                    const row = unlockedKeys.get(key);
+                    return row
+                        ? `${achievement.emoji} **${achievement.name}** - ${achievement.description} (<t:${Math.floor(new Date(row.unlocked_at).getTime() / 1000)}:d>)`
+                        : `🔒 ~~${achievement.name}~~ - ${achievement.description}`;
+                });
+                
+                embed.addFields({
+                    name: `🏆 Achievements (${unlockedKeys.size}/${Object.keys(ACHIEVEMENTS).length})`,
+                    value: achievementLines.join('\n'),
+                    inline: false
+                });
+                
+                await interaction.editReply({ embeds: [embed] });
+            }
+        },
+        {
+            data: new SlashCommandBuilder()
+                .setName('season')
+                .setDescription('Start or end a prediction season for this server')
+                .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+                .addSubcommand(subcommand =>
+                    subcommand.setName('start')
+                        .setDescription('Start a new prediction season with fresh standings')
+                        .addStringOption(option =>
+                            option.setName('name')
+                                .setDescription('Season name, e.g. "Summer 2026"')
+                                .setRequired(true)
+                                .setMaxLength(100)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('end')
+                        .setDescription('End the running season and post its final standings')
+                        .addRoleOption(option =>
+                            option.setName('winner_role')
+                                .setDescription('Role to give the season winners')
+                                .setRequired(false))
+                        .addIntegerOption(option =>
+                            option.setName('winners')
+                                .setDescription('How many top predictors get the winner role (default 1)')
+                                .setRequired(false)
+                                .setMinValue(1)
+                                .setMaxValue(10))),
+            async execute(interaction) {
+                const bettingManager = tracker.bettingManager;
+                if (!interaction.guild || !bettingManager) {
+                    return await interaction.reply({
+                        content: '❌ Seasons can only be managed in a server.',
+                        ephemeral: true
+                    });
+                }
+                
+                const guildId = interaction.guild.id;
+                const embed = new EmbedBuilder()
+                    .setTimestamp()
+                    .setFooter({ text: 'LoL Paparazzi' });
+                
+                if (interaction.options.getSubcommand() === 'start') {
+                    const name = interaction.options.getString('name').trim();
+                    const activeSeason = await tracker.persistence.getActivePredictionSeason(guildId);
+                    
+                    if (activeSeason) {
+                        embed.setColor(0xff9900)
+                            .setTitle('⚠️ Season Already Running')
+                            .setDescription(`**${activeSeason.name}** is still running. End it with \`/season end\` first.`);
+                        return await interaction.reply({ embeds: [embed], ephemeral: true });
+                    }
+                    
+                    if (await tracker.persistence.getPredictionSeason(guildId, name)) {
+                        embed.setColor(0xff0000)
+                            .setTitle('❌ Name Taken')
+                            .setDescription(`A season called **${name}** already exists. Pick another name.`);
+                        return await interaction.reply({ embeds: [embed], ephemeral: true });
+                    }
+                    
+                    const season = await tracker.persistence.createPredictionSeason(guildId, name, interaction.channelId, interaction.user.id);
+                    if (!season) {
+                        embed.setColor(0xff0000)
+                            .setTitle('❌ Error')
+                            .setDescription('Could not start the season. Please try again.');
+                        return await interaction.reply({ embeds: [embed], ephemeral: true });
+                    }
+                    
+                    embed.setColor(0x00ff00)
+                        .setTitle(`📅 ${season.name} Has Begun!`)
+                        .setDescription('Everyone starts from zero. Predictions from now on count toward this season - check the race with `/leaderboard window:This season`.');
+                    return await interaction.reply({ embeds: [embed] });
+                }
+                
+                const winnerRole = interaction.options.getRole('winner_role');
+                const winnerCount = interaction.options.getInteger('winners') || 1;
+                
+                await interaction.deferReply();
+                
+                const result = await bettingManager.endSeason(guildId, winnerRole ? winnerRole.id : null);
+                if (!result.success) {
+                    embed.setColor(0xff0000)
+                        .setTitle('❌ Could Not End Season')
+                        .setDescription(result.message);
+                    return await interaction.editReply({ embeds: [embed] });
+                }
+                
+                const podium = result.standings.slice(0, 10).map(entry =>
+                    `${getRankMedal(entry.rank)} <@${entry.userId}> - **${entry.totalPoints} pts** • ${entry.accuracy.toFixed(1)}% (${entry.correctPredictions}/${entry.totalPredictions})`
+                );
+                
+                embed.setColor(0xffd700)
+                    .setTitle(`🏁 ${result.season.name} - Final Standings`)
+                    .setDescription(podium.length > 0 ? podium.join('\n') : '*Nobody made a prediction this season.*');
+                
+                if (winnerRole && result.standings.length > 0) {
+                    const winners = [];
+                    for (const entry of result.standings.slice(0, winnerCount)) {
+                        try {
+                            const member = await interaction.guild.members.fetch(entry.userId);
+                            await member.roles.add(winnerRole);
+                            winners.push(`<@${entry.userId}>`);
+                        } catch (error) {
+                            console.error(`Error giving season winner role to ${entry.userId}:`, error.message);
+                        }
+                    }
+                    
+                    embed.addFields({
+                        name: '👑 Winners',
+                        value: winners.length > 0
+                            ? `${winners.join(', ')} earned ${winnerRole}`
+                            : `⚠️ Could not assign ${winnerRole} - check that my role is above it.`,
+                        inline: false
+                    });
+                }
+                
+                embed.addFields({
+                    name: '📚 Archive',
+                    value: `View these standings any time with \`/leaderboard season:${result.season.name}\``,
+                    inline: false
+                });
+                
+                await interaction.editReply({ embeds: [embed] });
+            }
+        },
         {
             data: new SlashCommandBuilder()
                 .setName('balance')
@@ -325,8 +1119,16 @@ function createCommands(riotApi, tracker) {
                         });
                     }
                     
-                    const credits = await bettingManager.getUserCredits(userId, guildId);
-                    const activeBets = await bettingManager.getUserActiveBets(userId);
+                    if (!tracker.isWageringEnabled(guildId)) {
+                        return await interaction.reply({
+                            content: '🚫 Wagering is turned off in this server. An admin can enable it with `/settings wagering:true`.',
+                            ephemeral: true
+                        });
+                    }
+                    
+                    const today = getDateKey(tracker.getGuildTimezone(guildId));
+                    const credits = await bettingManager.getUserCredits(userId, guildId, today);
+                    const activeBets = await bettingManager.getUserActiveBets(userId, guildId);
                     
                     const embed = new EmbedBuilder()
                         .setColor(0x0099ff)
@@ -366,7 +1168,7 @@ function createCommands(riotApi, tracker) {
                     if (credits.canClaimDaily) {
                         embed.addFields({
                             name: '🎁 Daily Bonus',
-                            value: 'You can claim 100💎 daily bonus! Use betting panel buttons.',
+                            value: 'Your daily credits are ready! Use `/daily` to claim them.',
                             inline: false
                         });
                     }
@@ -385,6 +1187,37 @@ function createCommands(riotApi, tracker) {
                     await interaction.reply({ embeds: [embed], ephemeral: true });
                 }
             }
+        },
+        {
+            data: new SlashCommandBuilder()
+                .setName('daily')
+                .setDescription('Claim your daily betting credits'),
+            async execute(interaction) {
+                const bettingManager = tracker.bettingManager;
+                if (!interaction.guild || !bettingManager) {
+                    return await interaction.reply({
+                        content: '❌ Betting system is not available!',
+                        ephemeral: true
+                    });
+                }
+                
+                const guildId = interaction.guild.id;
+                if (!tracker.isWageringEnabled(guildId)) {
+                    return await interaction.reply({
+                        content: '🚫 Wagering is turned off in this server. An admin can enable it with `/settings wagering:true`.',
+                        ephemeral: true
+                    });
+                }
+                
+                // Claims reset at midnight in the server's timezone
+                const today = getDateKey(tracker.getGuildTimezone(guildId));
+                const result = await bettingManager.claimDailyCredits(interaction.user.id, guildId, today);
+                
+                await interaction.reply({
+                    content: `${result.success ? '🎁' : '⏳'} ${result.message}`,
+                    ephemeral: true
+                });
+            }
         }
     ];
 }
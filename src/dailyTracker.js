@@ -1,5 +1,17 @@
 const cron = require('node-cron');
+const { AttachmentBuilder } = require('discord.js');
 const PersistenceManager = require('./persistence');
+const { DEFAULT_TRACKED_QUEUES, getRankedQueue, getQueueName, findRankEntry } = require('./queues');
+const { DEFAULT_TIMEZONE, getDateKey, addDays, getDayOfWeek, getStartOfDay } = require('./timezones');
+const { getMatchIdFromGameId, getMatchUrl } = require('./regions');
+const { getLadderLP, compareRanks, formatRank } = require('./rankLadder');
+const { formatOdds } = require('./odds');
+const { formatPick } = require('./markets');
+const { formatAchievement } = require('./achievements');
+const { RECAP_PERIODS, summarizePeriod, getTopChampions, formatRankSnapshot } = require('./recaps');
+const { getRankMedal } = require('./leaderboards');
+const { buildDayPoints, buildTrendPoints, renderLPGraph } = require('./lpGraph');
+const { renderScoreboard } = require('./scoreboard');
 
 class DailyTracker {
     constructor(riotApi, discordClient) {
@@ -7,18 +19,24 @@ class DailyTracker {
         this.discordClient = discordClient;
         this.persistence = new PersistenceManager();
         
-        // Track players by channel - Map of channelId -> playerData
+        // Track players by channel - Map of channelId -> Map of puuid -> playerData
         this.trackedPlayers = new Map();
         
-        // Daily tracking data - Map of channelId -> dailyData
+        // Daily tracking data - Map of channelId -> Map of puuid -> Map of queueId -> dailyData
         this.dailyData = new Map();
         
         // Polling configuration
         this.cronJob = null;
         this.pollingInterval = '*/3 * * * *'; // Check every 3 minutes
         
-        // Schedule daily summary at midnight
-        this.dailySummaryJob = null;
+        // Guild settings - Map of guildId -> { timezone, wageringEnabled } (guilds without settings use UTC, no wagering)
+        this.guildSettings = new Map();
+        
+        // Daily summary jobs, one per timezone in use - Map of timezone -> cron job
+        this.dailySummaryJobs = new Map();
+        
+        // Days of daily_tracking kept for recaps and /history (a monthly recap needs up to 31)
+        this.dailyRetentionDays = 40;
         
         // Rate limiting for /info command
         this.infoCommandCooldowns = new Map();
@@ -29,18 +47,32 @@ class DailyTracker {
         };
     }
 
-    async setPlayer(channelId, summonerName, originalInput = null) {
+    async setPlayer(channelId, summoner, originalInput = null, queueIds = DEFAULT_TRACKED_QUEUES) {
+        const summonerName = `${summoner.gameName}#${summoner.tagLine}`;
+        
+        const roster = this.trackedPlayers.get(channelId);
+        if (roster && roster.has(summoner.puuid)) {
+            throw new Error(`ALREADY_TRACKING:${summonerName}`);
+        }
+        
         const playerData = {
             summonerName,
             channelId,
+            puuid: summoner.puuid,
+            region: summoner.region,
+            queues: queueIds,
             originalInput: originalInput || summonerName,
             currentGameId: null,
+            currentGameQueueId: null,
             lastCompletedGameId: null,
             lastGameCheck: null
         };
         
-        this.trackedPlayers.set(channelId, playerData);
-        console.log(`Now tracking ${summonerName} in channel ${channelId}`);
+        this.addToRoster(playerData);
+        console.log(`Now tracking ${summonerName} in channel ${channelId} (${this.trackedPlayers.get(channelId).size} players in roster)`);
+        
+        // Persist the roster so tracking survives restarts
+        await this.persistence.saveTrackedPlayer(playerData);
         
         // Initialize or load today's daily data
         await this.initializeDailyData(channelId, playerData);
@@ -48,71 +80,86 @@ class DailyTracker {
 
     async initializeDailyData(channelId, playerData) {
         try {
-            const summoner = await this.riotApi.getSummonerByName(playerData.originalInput);
-            const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+            const summoner = await this.riotApi.getSummonerByName(playerData.originalInput, playerData.region);
+            const today = this.getToday(channelId); // YYYY-MM-DD in the guild's timezone
             
-            // Check if we already have daily data for today
-            let dailyTracking = await this.persistence.getDailyTracking(channelId, summoner.puuid, today);
+            // Rank info is only needed for queues without a record for today yet
+            let rankInfo = null;
+            const queueStats = new Map();
             
-            if (!dailyTracking) {
-                // Get current rank info for starting LP
-                const rankInfo = await this.riotApi.getRankInfo(summoner.puuid);
-                const soloRank = rankInfo.find(entry => entry.queueType === 'RANKED_SOLO_5x5');
+            for (const queueId of playerData.queues) {
+                // Check if we already have daily data for today
+                let dailyTracking = await this.persistence.getDailyTracking(channelId, summoner.puuid, today, queueId);
                 
-                const summonerData = {
-                    puuid: summoner.puuid,
-                    gameName: summoner.gameName,
-                    tagLine: summoner.tagLine,
-                    currentLP: soloRank ? soloRank.leaguePoints : 0,
-                    currentTier: soloRank ? soloRank.tier : null,
-                    currentRank: soloRank ? soloRank.rank : null
-                };
+                if (!dailyTracking) {
+                    // Get current rank info for starting LP
+                    if (!rankInfo) {
+                        rankInfo = await this.riotApi.getRankInfo(summoner.puuid, summoner.region);
+                    }
+                    const rankEntry = findRankEntry(rankInfo, queueId);
+                    
+                    const summonerData = {
+                        puuid: summoner.puuid,
+                        gameName: summoner.gameName,
+                        tagLine: summoner.tagLine,
+                        currentLP: rankEntry ? rankEntry.leaguePoints : 0,
+                        currentTier: rankEntry ? rankEntry.tier : null,
+                        currentRank: rankEntry ? rankEntry.rank : null
+                    };
+                    
+                    // Create new daily tracking record
+                    const dailyTrackingId = await this.persistence.createOrUpdateDailyTracking(
+                        channelId,
+                        summonerData,
+                        today,
+                        queueId
+                    );
+                    
+                    dailyTracking = {
+                        id: dailyTrackingId,
+                        date: today,
+                        startLP: summonerData.currentLP,
+                        currentLP: summonerData.currentLP,
+                        startTier: summonerData.currentTier,
+                        startRank: summonerData.currentRank,
+                        currentTier: summonerData.currentTier,
+                        currentRank: summonerData.currentRank
+                    };
+                }
                 
-                // Create new daily tracking record
-                const dailyTrackingId = await this.persistence.createOrUpdateDailyTracking(
-                    channelId,
-                    summonerData,
-                    today
-                );
+                // Rehydrate games already recorded today (e.g. after a restart)
+                const savedGames = dailyTracking.id ? await this.persistence.getDailyGames(dailyTracking.id) : [];
                 
-                dailyTracking = {
-                    id: dailyTrackingId,
+                // Initialize daily stats
+                const dailyStats = {
+                    dailyTrackingId: dailyTracking.id,
                     date: today,
-                    startLP: summonerData.currentLP,
-                    currentLP: summonerData.currentLP,
-                    startTier: summonerData.currentTier,
-                    startRank: summonerData.currentRank,
-                    currentTier: summonerData.currentTier,
-                    currentRank: summonerData.currentRank
+                    queueId: queueId,
+                    summoner: summoner,
+                    startLP: dailyTracking.startLP || dailyTracking.start_lp,
+                    currentLP: dailyTracking.currentLP || dailyTracking.end_lp || dailyTracking.start_lp,
+                    startTier: dailyTracking.startTier || dailyTracking.start_tier,
+                    startRank: dailyTracking.startRank || dailyTracking.start_rank,
+                    currentTier: dailyTracking.currentTier || dailyTracking.end_tier || dailyTracking.start_tier,
+                    currentRank: dailyTracking.currentRank || dailyTracking.end_rank || dailyTracking.start_rank,
+                    gamesPlayed: dailyTracking.games_played || 0,
+                    wins: dailyTracking.wins || 0,
+                    losses: dailyTracking.losses || 0,
+                    casualGames: dailyTracking.casual_games || 0,
+                    totalLPChange: dailyTracking.total_lp_change || 0,
+                    firstGameTime: dailyTracking.first_game_time ? new Date(dailyTracking.first_game_time) : null,
+                    lastGameTime: dailyTracking.last_game_time ? new Date(dailyTracking.last_game_time) : null,
+                    championStats: dailyTracking.champion_stats || {},
+                    bestGame: dailyTracking.best_game || null,
+                    worstGame: dailyTracking.worst_game || null,
+                    games: savedGames
                 };
+                
+                queueStats.set(queueId, dailyStats);
+                console.log(`📅 Initialized ${getQueueName(queueId)} daily tracking for ${summoner.gameName}#${summoner.tagLine} on ${today} (${dailyStats.gamesPlayed} games so far)`);
             }
             
-            // Initialize daily stats
-            const dailyStats = {
-                dailyTrackingId: dailyTracking.id,
-                date: today,
-                summoner: summoner,
-                startLP: dailyTracking.startLP || dailyTracking.start_lp,
-                currentLP: dailyTracking.currentLP || dailyTracking.end_lp || dailyTracking.start_lp,
-                startTier: dailyTracking.startTier || dailyTracking.start_tier,
-                startRank: dailyTracking.startRank || dailyTracking.start_rank,
-                currentTier: dailyTracking.currentTier || dailyTracking.end_tier || dailyTracking.start_tier,
-                currentRank: dailyTracking.currentRank || dailyTracking.end_rank || dailyTracking.start_rank,
-                gamesPlayed: 0,
-                wins: 0,
-                losses: 0,
-                casualGames: 0,
-                totalLPChange: 0,
-                firstGameTime: null,
-                lastGameTime: null,
-                championStats: {},
-                bestGame: null,
-                worstGame: null,
-                games: []
-            };
-            
-            this.dailyData.set(channelId, dailyStats);
-            console.log(`📅 Initialized daily tracking for ${summoner.gameName}#${summoner.tagLine} on ${today}`);
+            this.setPlayerDailyStats(channelId, summoner.puuid, queueStats);
             
         } catch (error) {
             console.error('Error initializing daily data:', error);
@@ -126,9 +173,11 @@ class DailyTracker {
             // Process pending match analysis
             await this.processPendingMatchAnalysis();
             
-            // Check each tracked player
-            for (const [channelId, playerData] of this.trackedPlayers) {
-                await this.checkPlayerStatus(channelId, playerData);
+            // Check each tracked player in every channel roster
+            for (const [channelId, roster] of this.trackedPlayers) {
+                for (const playerData of roster.values()) {
+                    await this.checkPlayerStatus(channelId, playerData);
+                }
             }
         } catch (error) {
             console.error('Error in checkPlayer:', error);
@@ -137,22 +186,24 @@ class DailyTracker {
 
     async checkPlayerStatus(channelId, playerData) {
         try {
-            const summoner = await this.riotApi.getSummonerByName(playerData.originalInput);
-            const currentGame = await this.riotApi.getCurrentGame(summoner.puuid);
+            const summoner = await this.riotApi.getSummonerByName(playerData.originalInput, playerData.region);
+            const currentGame = await this.riotApi.getCurrentGame(summoner.puuid, false, summoner.region);
             const now = new Date();
             
             // Ensure we have today's daily data
             await this.checkAndResetDailyData(channelId, playerData);
             
-            if (currentGame && this.riotApi.isRankedSoloGame(currentGame)) {
+            if (currentGame && this.riotApi.isRankedGame(currentGame, playerData.queues)) {
                 playerData.lastGameCheck = now;
                 
                 const gameId = currentGame.gameId;
                 const isNewGame = gameId !== playerData.currentGameId;
                 
                 if (isNewGame) {
-                    console.log(`🎮 New ranked game detected for ${summoner.gameName}#${summoner.tagLine}`);
+                    console.log(`🎮 New ${getQueueName(currentGame.gameQueueConfigId)} game detected for ${summoner.gameName}#${summoner.tagLine}`);
                     playerData.currentGameId = gameId;
+                    playerData.currentGameQueueId = currentGame.gameQueueConfigId;
+                    await this.persistence.saveTrackedPlayer(playerData);
                     
                     // Send game start notification with prediction panel
                     await this.sendGameStartNotification(summoner, currentGame, channelId);
@@ -164,7 +215,11 @@ class DailyTracker {
                 
                 if (isNewGame) {
                     playerData.currentGameId = gameId;
-                    const dailyStats = this.dailyData.get(channelId);
+                    playerData.currentGameQueueId = currentGame.gameQueueConfigId;
+                    await this.persistence.saveTrackedPlayer(playerData);
+                    
+                    // Casual games are counted on the player's first tracked queue
+                    const dailyStats = this.getDailyStats(channelId, playerData.puuid, playerData.queues[0]);
                     if (dailyStats) {
                         dailyStats.casualGames++;
                         console.log(`🎮 Casual game detected (${dailyStats.casualGames} today)`);
@@ -174,11 +229,7 @@ class DailyTracker {
                 // Not in game - check if a game just ended
                 if (playerData.currentGameId) {
                     console.log(`Game ended: ${playerData.currentGameId}`);
-                    playerData.lastCompletedGameId = playerData.currentGameId;
-                    playerData.currentGameId = null;
-                    
-                    // Queue for match analysis
-                    await this.persistence.queueMatchAnalysis(summoner, playerData.lastCompletedGameId, 0.5);
+                    await this.completeCurrentGame(channelId, playerData, summoner, 0.5);
                 }
             }
         } catch (error) {
@@ -186,15 +237,34 @@ class DailyTracker {
         }
     }
 
+    // Mark the player's current game as finished and queue ranked games for match analysis
+    async completeCurrentGame(channelId, playerData, summoner, delayMinutes) {
+        const queueId = playerData.currentGameQueueId;
+        const wasRanked = this.riotApi.isRankedGame({ gameQueueConfigId: queueId }, playerData.queues);
+        
+        playerData.lastCompletedGameId = playerData.currentGameId;
+        playerData.currentGameId = null;
+        playerData.currentGameQueueId = null;
+        await this.persistence.saveTrackedPlayer(playerData);
+        
+        if (wasRanked) {
+            await this.persistence.queueMatchAnalysis(summoner, playerData.lastCompletedGameId, delayMinutes, channelId, queueId);
+        }
+    }
+
     async checkAndResetDailyData(channelId, playerData) {
-        const today = new Date().toISOString().split('T')[0];
-        const dailyStats = this.dailyData.get(channelId);
+        const today = this.getToday(channelId);
+        const queueStats = this.getPlayerDailyStats(channelId, playerData.puuid);
         
         // If date changed or no daily data, initialize new day
-        if (!dailyStats || dailyStats.date !== today) {
-            // Send daily summary for previous day if exists
-            if (dailyStats && dailyStats.gamesPlayed > 0) {
-                await this.sendDailySummary(channelId, dailyStats);
+        if (queueStats.length === 0 || queueStats.some(dailyStats => dailyStats.date !== today)) {
+            // Send daily summaries for the previous day if any. The midnight job and a poll
+            // can both get here, so mark the summary as sent before awaiting
+            for (const dailyStats of queueStats) {
+                if (dailyStats.date !== today && dailyStats.gamesPlayed > 0 && !dailyStats.summarySent) {
+                    dailyStats.summarySent = true;
+                    await this.sendDailySummary(channelId, dailyStats);
+                }
             }
             
             // Initialize new day's data
@@ -205,9 +275,9 @@ class DailyTracker {
     async sendGameStartNotification(summoner, gameData, channelId) {
         try {
             const channel = await this.discordClient.channels.fetch(channelId);
-            const dailyStats = this.dailyData.get(channelId);
+            const dailyStats = this.getDailyStats(channelId, summoner.puuid, gameData.gameQueueConfigId);
             
-            if (!dailyStats.firstGameTime) {
+            if (dailyStats && !dailyStats.firstGameTime) {
                 dailyStats.firstGameTime = new Date();
             }
             
@@ -216,8 +286,10 @@ class DailyTracker {
                 console.log('🎯 Creating prediction panel for new game...');
                 
                 try {
+                    const wageringEnabled = !!channel.guildId && this.isWageringEnabled(channel.guildId);
                     const gameAnalysis = await this.riotApi.analyzeCurrentGame(summoner, gameData);
-                    const predictionPanel = await this.bettingManager.createEnhancedPredictionPanel(gameAnalysis);
+                    const panelStartTime = Date.now();
+                    const predictionPanel = await this.bettingManager.createEnhancedPredictionPanel(gameAnalysis, { wageringEnabled, startTime: panelStartTime });
                     
                     if (!predictionPanel) {
                         console.log(`🎯 Prediction panel already exists for game ${gameData.gameId}`);
@@ -245,7 +317,8 @@ class DailyTracker {
                         message.id,
                         channel.id,
                         summoner.puuid,
-                        gameData.gameStartTime ? new Date(gameData.gameStartTime) : new Date()
+                        gameData.gameStartTime ? new Date(gameData.gameStartTime) : new Date(),
+                        predictionPanel.odds
                     );
                     
                     // Track the panel for timer updates
@@ -253,7 +326,9 @@ class DailyTracker {
                         gameData.gameId,
                         message.id,
                         channel.id,
-                        Date.now()
+                        summoner.puuid,
+                        panelStartTime,
+                        wageringEnabled
                     );
                     
                     console.log(`✅ Prediction panel created for game ${gameData.gameId}`);
@@ -272,74 +347,134 @@ class DailyTracker {
             
             for (const analysis of pendingAnalysis) {
                 try {
-                    const success = await this.analyzeQueuedMatch(analysis.summonerData, analysis.gameId);
+                    const status = await this.analyzeQueuedMatch(analysis.summonerData, analysis.gameId, analysis.channelId, analysis.queueId);
                     
-                    if (success) {
+                    if (status === 'complete') {
                         await this.persistence.markAnalysisComplete(analysis.id);
+                    } else if (status === 'pending' && Date.now() - analysis.createdAt < 24 * 60 * 60 * 1000) {
+                        // Keep waiting for the match to be published
+                        await this.persistence.rescheduleAnalysis(analysis.id);
+                    } else if (status === 'failed' && analysis.retryCount < 2) {
+                        await this.persistence.markAnalysisRetry(analysis.id);
                     } else {
-                        if (analysis.retryCount < 2) {
-                            await this.persistence.markAnalysisRetry(analysis.id);
-                        } else {
-                            await this.persistence.markAnalysisComplete(analysis.id);
-                        }
+                        // Giving up on this game - expire its predictions and refund stakes
+                        await this.abandonMatchAnalysis(analysis);
                     }
                 } catch (error) {
                     console.error(`Error processing analysis ID ${analysis.id}:`, error);
-                    await this.persistence.markAnalysisRetry(analysis.id);
+                    if (analysis.retryCount < 2) {
+                        await this.persistence.markAnalysisRetry(analysis.id);
+                    } else {
+                        await this.abandonMatchAnalysis(analysis);
+                    }
                 }
             }
             
-            // Cleanup old entries periodically
-            if (Math.random() < 0.1) {
-                await this.persistence.cleanupOldAnalysis();
+            // Entries past 24 hours or out of retries are never picked up again, so settle them here
+            // rather than deleting them with their predictions still open
+            const staleAnalysis = await this.persistence.getStaleMatchAnalysis();
+            for (const analysis of staleAnalysis) {
+                await this.abandonMatchAnalysis(analysis);
             }
         } catch (error) {
             console.error('Error processing pending match analysis:', error);
         }
     }
 
-    async analyzeQueuedMatch(summonerData, gameId = null) {
+    async abandonMatchAnalysis(analysis) {
+        console.log(`🛑 Giving up on match analysis for game ${analysis.gameId}`);
+        
+        if (this.bettingManager && analysis.gameId) {
+            const expired = await this.bettingManager.expirePredictions(analysis.gameId, analysis.summonerPuuid);
+            
+            if (expired.length > 0 && analysis.channelId) {
+                await this.sendExpiredPredictions(expired, analysis.summonerData, analysis.channelId);
+            }
+        }
+        
+        await this.persistence.markAnalysisComplete(analysis.id);
+    }
+
+    async sendExpiredPredictions(expired, summonerData, channelId) {
         try {
-            console.log(`Analyzing match for ${summonerData.gameName}#${summonerData.tagLine}`);
+            const channel = await this.discordClient.channels.fetch(channelId);
+            const refunds = expired.filter(prediction => prediction.refund > 0);
             
-            // Find the channel for this summoner
-            let targetChannelId = null;
-            let dailyStats = null;
+            let content = `⚠️ **PREDICTIONS CANCELLED**\n`;
+            content += `Couldn't get the result for ${summonerData.gameName}#${summonerData.tagLine}'s game, so ${expired.length} prediction${expired.length === 1 ? '' : 's'} won't count.`;
             
-            for (const [channelId, stats] of this.dailyData) {
-                if (stats.summoner && stats.summoner.puuid === summonerData.puuid) {
-                    targetChannelId = channelId;
-                    dailyStats = stats;
-                    break;
+            if (refunds.length > 0) {
+                content += `\n\n💸 **REFUNDS:**\n`;
+                content += refunds.map(prediction => `<@${prediction.userId}> +${prediction.refund}💎`).join('\n');
+            }
+            
+            await channel.send(content);
+        } catch (error) {
+            console.error('Error sending expired predictions:', error);
+        }
+    }
+
+    // Returns 'complete', 'pending' (match not published yet) or 'failed'
+    async analyzeQueuedMatch(summonerData, gameId = null, channelId = null, queueId = 420) {
+        try {
+            console.log(`Analyzing ${getQueueName(queueId)} match for ${summonerData.gameName}#${summonerData.tagLine}`);
+            
+            // Find the channel for this summoner
+            let targetChannelId = channelId;
+            let dailyStats = channelId ? this.getDailyStats(channelId, summonerData.puuid, queueId) : null;
+            
+            if (!channelId) {
+                // Entries queued before channels were recorded - use the first channel tracking this summoner
+                for (const [rosterChannelId, roster] of this.dailyData) {
+                    if (roster.has(summonerData.puuid)) {
+                        targetChannelId = rosterChannelId;
+                        dailyStats = roster.get(summonerData.puuid).get(queueId);
+                        break;
+                    }
                 }
             }
             
             if (!targetChannelId || !dailyStats) {
                 console.log('No active daily tracking found for this summoner');
-                return false;
+                return 'failed';
             }
             
-            // Get match history
-            const matchIds = await this.riotApi.getMatchHistory(summonerData.puuid, new Date(Date.now() - 24*60*60*1000), 3);
+            let matchId;
+            if (gameId) {
+                // The spectator gameId identifies the exact match that finished
+                matchId = getMatchIdFromGameId(gameId, summonerData.region);
+            } else {
+                // Entries queued without a gameId can only use the most recent match
+                const matchIds = await this.riotApi.getMatchHistory(summonerData.puuid, new Date(Date.now() - 24*60*60*1000), 1, summonerData.region, queueId);
+                
+                if (matchIds.length === 0) {
+                    console.log('No recent matches found');
+                    return 'failed';
+                }
+                matchId = matchIds[0];
+            }
             
-            if (matchIds.length === 0) {
-                console.log('No recent matches found');
-                return false;
+            // Never record the same match twice (e.g. a restart re-queued it)
+            const alreadyRecorded = dailyStats.games.some(game => game.matchId === matchId) ||
+                await this.persistence.hasDailyGame(targetChannelId, summonerData.puuid, matchId);
+            if (alreadyRecorded) {
+                console.log(`⏭️ Match ${matchId} already recorded for ${summonerData.gameName}#${summonerData.tagLine}`);
+                return 'complete';
             }
             
-            const mostRecentMatchId = matchIds[0];
-            const matchData = await this.riotApi.getMatchDetails(mostRecentMatchId);
+            const matchData = await this.riotApi.getMatchDetails(matchId);
             
             if (!matchData) {
-                console.log('Failed to fetch match details');
-                return false;
+                // match-v5 usually publishes a few minutes after the game ends
+                console.log(`Match ${matchId} not available yet`);
+                return 'pending';
             }
             
             const playerStats = await this.riotApi.getPlayerMatchStats(matchData, summonerData.puuid);
             
             if (!playerStats) {
                 console.log('Failed to extract player stats');
-                return false;
+                return 'failed';
             }
             
             // Calculate LP change
@@ -352,10 +487,13 @@ class DailyTracker {
             if (this.bettingManager && gameId) {
                 try {
                     const actualOutcome = playerStats.win ? 'win' : 'loss';
-                    const predictionResults = await this.bettingManager.resolvePredictions(gameId, actualOutcome, mostRecentMatchId);
+                    const predictionResults = await this.bettingManager.resolvePredictions(gameId, actualOutcome, matchId, summonerData.puuid);
                     
                     if (predictionResults.length > 0) {
-                        await this.sendPredictionResults(predictionResults, summonerData, playerStats, targetChannelId);
+                        const achievementUnlocks = await this.bettingManager.evaluateAchievements(
+                            predictionResults, this.getTimezoneForChannel(targetChannelId)
+                        );
+                        await this.sendPredictionResults(predictionResults, summonerData, playerStats, targetChannelId, achievementUnlocks);
                     }
                 } catch (error) {
                     console.error('Error resolving predictions:', error);
@@ -363,70 +501,57 @@ class DailyTracker {
             }
             
             // Send post-game notification
-            await this.sendPostGameNotification(summonerData, playerStats, lpChange, targetChannelId);
+            await this.sendPostGameNotification(summonerData, playerStats, lpChange, targetChannelId, matchData);
             
-            return true;
+            return 'complete';
         } catch (error) {
             console.error('Error analyzing queued match:', error);
-            return false;
+            return 'failed';
         }
     }
 
     async calculateLPChange(summonerData, playerStats, dailyStats) {
         try {
-            const currentRankInfo = await this.riotApi.getRankInfo(summonerData.puuid);
-            const soloRank = currentRankInfo.find(entry => entry.queueType === 'RANKED_SOLO_5x5');
+            const currentRankInfo = await this.riotApi.getRankInfo(summonerData.puuid, summonerData.region);
+            const rankEntry = findRankEntry(currentRankInfo, dailyStats.queueId);
             
-            if (!soloRank || dailyStats.currentLP === null) {
+            if (!rankEntry || dailyStats.currentLP === null) {
                 return null;
             }
             
-            const newLP = soloRank.leaguePoints;
-            const newTier = soloRank.tier;
-            const newRank = soloRank.rank;
+            const newLP = rankEntry.leaguePoints;
+            const newTier = rankEntry.tier;
+            const newRank = rankEntry.rank;
             
             const previousLP = dailyStats.currentLP;
             const previousTier = dailyStats.currentTier;
             const previousRank = dailyStats.currentRank;
             
-            let lpChange = 0;
-            const apexTiers = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
-            const isApexTier = apexTiers.includes(newTier) || (previousTier && apexTiers.includes(previousTier));
-            
-            // Check for rank changes
-            let rankChanged = false;
-            if (previousTier && (previousRank !== undefined)) {
-                if (isApexTier) {
-                    rankChanged = (previousTier !== newTier);
-                } else {
-                    rankChanged = (previousTier !== newTier) || (previousRank !== newRank);
-                }
-            }
-            
-            if (rankChanged) {
-                // Estimate LP for rank changes
-                if (playerStats.win) {
-                    lpChange = Math.floor(Math.random() * 11) + 15; // 15-25 LP
-                } else {
-                    lpChange = -(Math.floor(Math.random() * 11) + 15); // -15 to -25 LP
-                }
-            } else {
-                lpChange = newLP - previousLP;
-            }
+            // Real delta from the ladder, so promotions and demotions count the LP across the boundary
+            const { change, event } = compareRanks(
+                { tier: previousTier, rank: previousRank, leaguePoints: previousLP },
+                { tier: newTier, rank: newRank, leaguePoints: newLP }
+            );
             
             // Update daily stats with new LP
             dailyStats.currentLP = newLP;
             dailyStats.currentTier = newTier;
             dailyStats.currentRank = newRank;
-            dailyStats.totalLPChange = newLP - dailyStats.startLP;
+            
+            const startLadderLP = getLadderLP(dailyStats.startTier, dailyStats.startRank, dailyStats.startLP);
+            const currentLadderLP = getLadderLP(newTier, newRank, newLP);
+            dailyStats.totalLPChange = startLadderLP !== null && currentLadderLP !== null
+                ? currentLadderLP - startLadderLP
+                : newLP - dailyStats.startLP;
             
             return {
-                change: lpChange,
+                change: change,
                 previous: previousLP,
                 current: newLP,
                 tier: newTier,
                 rank: newRank,
-                rankChanged: rankChanged,
+                event: event,
+                rankChanged: event === 'promotion' || event === 'demotion',
                 previousTier: previousTier,
                 previousRank: previousRank
             };
@@ -473,7 +598,11 @@ class DailyTracker {
                 kda: playerStats.kda,
                 kdaValue: kdaValue,
                 result: playerStats.win ? 'W' : 'L',
-                lpChange: lpChange ? lpChange.change : 0,
+                lpChange: lpChange && lpChange.change !== null ? lpChange.change : 0,
+                lpEvent: lpChange ? lpChange.event : null,
+                tierAfter: lpChange ? lpChange.tier : null,
+                rankAfter: lpChange ? lpChange.rank : null,
+                lpAfter: lpChange ? lpChange.current : null,
                 matchId: playerStats.matchId
             };
             
@@ -487,7 +616,7 @@ class DailyTracker {
             
             // Save game to database
             if (dailyStats.dailyTrackingId) {
-                await this.persistence.saveDailyGame(dailyStats.dailyTrackingId, playerStats, matchData);
+                await this.persistence.saveDailyGame(dailyStats.dailyTrackingId, playerStats, matchData, lpChange);
                 
                 // Update daily tracking record
                 await this.persistence.updateDailyStats(dailyStats.dailyTrackingId, {
@@ -515,29 +644,37 @@ class DailyTracker {
         }
     }
 
-    async sendPostGameNotification(summoner, matchStats, lpChange, channelId) {
+    async sendPostGameNotification(summoner, matchStats, lpChange, channelId, matchData = null) {
         try {
             const channel = await this.discordClient.channels.fetch(channelId);
-            const dailyStats = this.dailyData.get(channelId);
+            const dailyStats = this.getDailyStats(channelId, summoner.puuid, matchStats.queueType);
+            const queue = getRankedQueue(matchStats.queueType);
             
             const embedColor = matchStats.win ? 0x00ff00 : 0xff0000;
             const resultEmoji = matchStats.win ? '🟢' : '🔴';
             const resultText = matchStats.win ? 'VICTORY' : 'DEFEAT';
             
-            const opggUrl = this.riotApi.createOpGGUrl(summoner.gameName, summoner.tagLine, matchStats.matchId);
-            const championImageUrl = `https://ddragon.leagueoflegends.com/cdn/14.1.1/img/champion/${matchStats.championName}.png`;
+            const opggUrl = this.riotApi.createOpGGUrl(summoner.gameName, summoner.tagLine, matchStats.matchId, summoner.region);
+            const championImageUrl = this.riotApi.staticAssets.getChampionIconUrl(matchStats.championName);
             
             // Include game count for the day
             const gameNumber = dailyStats ? dailyStats.gamesPlayed : 1;
             
             let lpText = '';
-            if (lpChange && matchStats.win && lpChange.change > 0) {
-                lpText = `📈 +${lpChange.change} LP (${lpChange.current} LP)`;
+            if (lpChange && lpChange.change !== null) {
+                const currentRankText = `${formatRank(lpChange.tier, lpChange.rank)} ${lpChange.current} LP`;
+                if (lpChange.change > 0) {
+                    lpText = `📈 +${lpChange.change} LP (${currentRankText})`;
+                } else if (lpChange.change < 0) {
+                    lpText = `📉 ${lpChange.change} LP (${currentRankText})`;
+                } else {
+                    lpText = `➖ 0 LP (${currentRankText})`;
+                }
             }
             
             const embed = {
                 color: embedColor,
-                title: `🎮 Today's Game #${gameNumber} - ${resultText}!`,
+                title: `🎮 Today's ${queue ? `${queue.shortName} ` : ''}Game #${gameNumber} - ${resultText}!`,
                 description: `**${summoner.gameName}#${summoner.tagLine}** • ${matchStats.championName}`,
                 thumbnail: {
                     url: championImageUrl
@@ -561,7 +698,7 @@ class DailyTracker {
                 ],
                 timestamp: new Date(),
                 footer: {
-                    text: `Daily: ${dailyStats.wins}W-${dailyStats.losses}L`
+                    text: `Daily${queue ? ` ${queue.shortName}` : ''}: ${dailyStats.wins}W-${dailyStats.losses}L`
                 }
             };
             
@@ -573,13 +710,38 @@ class DailyTracker {
                 });
             }
             
+            if (lpChange && lpChange.event) {
+                const previousRankText = formatRank(lpChange.previousTier, lpChange.previousRank);
+                const currentRankText = formatRank(lpChange.tier, lpChange.rank);
+                const rankEvents = {
+                    promotion: { name: '🎉 PROMOTED!', value: `${previousRankText} → **${currentRankText}**` },
+                    demotion: { name: '⬇️ Demoted', value: `${previousRankText} → **${currentRankText}**` },
+                    placement: { name: '🆕 Placed', value: `**${currentRankText}** (${lpChange.current} LP)` }
+                };
+                
+                embed.fields.push({ ...rankEvents[lpChange.event], inline: true });
+            }
+            
             embed.fields.push({
                 name: 'Match History',
                 value: `[View on op.gg](${opggUrl})`,
                 inline: false
             });
+            
+            // Full 10-player scoreboard so the game can be reviewed without leaving Discord
+            let scoreboard = null;
+            try {
+                await this.riotApi.loadChampionData();
+                const image = await renderScoreboard(matchData, summoner.puuid, this.riotApi.staticAssets);
+                if (image) {
+                    scoreboard = new AttachmentBuilder(image, { name: 'scoreboard.png' });
+                    embed.image = { url: 'attachment://scoreboard.png' };
+                }
+            } catch (error) {
+                console.error('Error rendering scoreboard:', error);
+            }
 
-            await channel.send({ embeds: [embed] });
+            await channel.send({ embeds: [embed], files: scoreboard ? [scoreboard] : [] });
             console.log(`Sent post-game notification for ${summoner.gameName}#${summoner.tagLine}`);
             
         } catch (error) {
@@ -587,7 +749,7 @@ class DailyTracker {
         }
     }
 
-    async sendPredictionResults(predictionResults, summonerData, playerStats, channelId) {
+    async sendPredictionResults(predictionResults, summonerData, playerStats, channelId, achievementUnlocks = new Map()) {
         try {
             const channel = await this.discordClient.channels.fetch(channelId);
             
@@ -603,7 +765,8 @@ class DailyTracker {
             if (correctPredictions.length > 0) {
                 resultText += `🎯 **CORRECT PREDICTIONS:**\n`;
                 for (const correct of correctPredictions) {
-                    resultText += `<@${correct.userId}> ✅ Predicted ${correct.predictedOutcome.toUpperCase()}\n`;
+                    const betText = correct.bet ? `, +${correct.bet.payout - correct.bet.amount}💎` : '';
+                    resultText += `<@${correct.userId}> ✅ Predicted ${formatPick(correct.market, correct.predictedOutcome)} at ${formatOdds(correct.odds)} (+${correct.points} pts${betText})\n`;
                 }
                 resultText += '\n';
             }
@@ -611,7 +774,15 @@ class DailyTracker {
             if (incorrectPredictions.length > 0) {
                 resultText += `❌ **INCORRECT PREDICTIONS:**\n`;
                 for (const incorrect of incorrectPredictions) {
-                    resultText += `<@${incorrect.userId}> ❌ Predicted ${incorrect.predictedOutcome.toUpperCase()}\n`;
+                    const betText = incorrect.bet ? ` (-${incorrect.bet.amount}💎)` : '';
+                    resultText += `<@${incorrect.userId}> ❌ Predicted ${formatPick(incorrect.market, incorrect.predictedOutcome)}${betText}\n`;
+                }
+            }
+            
+            if (achievementUnlocks.size > 0) {
+                resultText += `\n🏆 **ACHIEVEMENTS UNLOCKED:**\n`;
+                for (const [userId, keys] of achievementUnlocks) {
+                    resultText += `<@${userId}> ${keys.map(formatAchievement).join(', ')}\n`;
                 }
             }
             
@@ -622,105 +793,349 @@ class DailyTracker {
         }
     }
 
-    async sendDailySummary(channelId, dailyStats = null) {
+    async sendDailySummary(channelId, dailyStats) {
         try {
             const channel = await this.discordClient.channels.fetch(channelId);
             
-            if (!dailyStats) {
-                dailyStats = this.dailyData.get(channelId);
-            }
-            
             if (!dailyStats || dailyStats.gamesPlayed === 0) {
                 console.log('No games to summarize for daily report');
                 return;
             }
             
-            const totalGames = dailyStats.gamesPlayed;
-            const winrate = totalGames > 0 ? Math.round((dailyStats.wins / totalGames) * 100) : 0;
-            
-            // Calculate LP summary
-            let lpSummary = '';
-            if (dailyStats.totalLPChange > 0) {
-                lpSummary = `📈 +${dailyStats.totalLPChange} LP gained`;
-            } else if (dailyStats.totalLPChange < 0) {
-                lpSummary = `📉 ${dailyStats.totalLPChange} LP lost`;
-            } else {
-                lpSummary = '➖ No LP change';
+            const embed = this.createDailySummaryEmbed(dailyStats);
+            const graph = this.createLPGraphAttachment(
+                `${dailyStats.summoner.gameName} - ${dailyStats.date}`,
+                buildDayPoints({ tier: dailyStats.startTier, rank: dailyStats.startRank, lp: dailyStats.startLP }, dailyStats.games || [])
+            );
+            if (graph) {
+                embed.image = { url: `attachment://${graph.name}` };
             }
             
-            // Build champion summary
-            const championEntries = Object.entries(dailyStats.championStats)
-                .sort(([,a], [,b]) => b.games - a.games)
-                .slice(0, 3);
-            
-            const championSummary = championEntries.map(([champ, data]) =>
-                `${champ} (${data.games} games) - ${data.wins}W-${data.losses}L`
-            ).join('\n') || 'No games tracked';
+            await channel.send({ embeds: [embed], files: graph ? [graph] : [] });
+            console.log(`📊 Sent daily summary for ${dailyStats.summoner.gameName}#${dailyStats.summoner.tagLine}`);
             
-            // Build highlights
-            let highlights = '';
-            if (dailyStats.bestGame) {
-                highlights += `🥇 Best: ${dailyStats.bestGame.kda} KDA on ${dailyStats.bestGame.champion}`;
+        } catch (error) {
+            console.error('Error sending daily summary:', error);
+        }
+    }
+
+    // Daily summary embed; pass the day's games to add a per-game list with match links
+    createDailySummaryEmbed(dailyStats, games = null) {
+        const totalGames = dailyStats.gamesPlayed;
+        const winrate = totalGames > 0 ? Math.round((dailyStats.wins / totalGames) * 100) : 0;
+        
+        // Calculate LP summary
+        let lpSummary = '';
+        if (dailyStats.totalLPChange > 0) {
+            lpSummary = `📈 +${dailyStats.totalLPChange} LP gained`;
+        } else if (dailyStats.totalLPChange < 0) {
+            lpSummary = `📉 ${dailyStats.totalLPChange} LP lost`;
+        } else {
+            lpSummary = '➖ No LP change';
+        }
+        
+        // Build champion summary
+        const championEntries = Object.entries(dailyStats.championStats)
+            .sort(([,a], [,b]) => b.games - a.games)
+            .slice(0, 3);
+        
+        const championSummary = championEntries.map(([champ, data]) =>
+            `${champ} (${data.games} games) - ${data.wins}W-${data.losses}L`
+        ).join('\n') || 'No games tracked';
+        
+        // Build highlights
+        let highlights = '';
+        if (dailyStats.bestGame) {
+            highlights += `🥇 Best: ${dailyStats.bestGame.kda} KDA on ${dailyStats.bestGame.champion}`;
+        }
+        
+        // Calculate play time
+        let playTime = '';
+        if (dailyStats.firstGameTime && dailyStats.lastGameTime) {
+            const timeDiff = dailyStats.lastGameTime - dailyStats.firstGameTime;
+            const hours = Math.floor(timeDiff / (1000 * 60 * 60));
+            const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
+            playTime = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+        }
+        
+        const embed = {
+            color: 0x5865f2,
+            title: `📊 Daily Summary - ${dailyStats.date}`,
+            description: `**${dailyStats.summoner.gameName}#${dailyStats.summoner.tagLine}** • ${getQueueName(dailyStats.queueId)}`,
+            fields: [
+                {
+                    name: '🎮 GAMES',
+                    value: `${totalGames} ranked${dailyStats.casualGames > 0 ? `, ${dailyStats.casualGames} casual` : ''}`,
+                    inline: true
+                },
+                {
+                    name: '⏱️ PLAY TIME',
+                    value: playTime || 'N/A',
+                    inline: true
+                },
+                {
+                    name: '🏆 PERFORMANCE',
+                    value: `${dailyStats.wins}W-${dailyStats.losses}L (${winrate}% WR)\n${lpSummary}`,
+                    inline: false
+                },
+                {
+                    name: '🎮 CHAMPIONS',
+                    value: championSummary,
+                    inline: false
+                }
+            ],
+            timestamp: new Date(),
+            footer: {
+                text: 'LoL Paparazzi Daily Report'
             }
+        };
+        
+        if (highlights) {
+            embed.fields.push({
+                name: '📈 HIGHLIGHTS',
+                value: highlights,
+                inline: false
+            });
+        }
+        
+        if (games && games.length > 0) {
+            const lines = games.map((game, index) => {
+                const lpText = game.lpChange ? ` • ${game.lpChange > 0 ? '+' : ''}${game.lpChange} LP` : '';
+                return `${index + 1}. ${game.result === 'W' ? '✅' : '❌'} ${game.champion} • ${game.kda} KDA${lpText} • [match](${getMatchUrl(game.matchId)})`;
+            });
             
-            // Calculate play time
-            let playTime = '';
-            if (dailyStats.firstGameTime && dailyStats.lastGameTime) {
-                const timeDiff = dailyStats.lastGameTime - dailyStats.firstGameTime;
-                const hours = Math.floor(timeDiff / (1000 * 60 * 60));
-                const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
-                playTime = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+            // Embed fields hold 1024 characters
+            let gameList = '';
+            for (const [index, line] of lines.entries()) {
+                const more = `\n…and ${lines.length - index} more`;
+                if (gameList.length + line.length + more.length + 1 > 1024) {
+                    gameList += more;
+                    break;
+                }
+                gameList += `${gameList ? '\n' : ''}${line}`;
             }
             
-            const embed = {
-                color: 0x5865f2,
-                title: `📊 Daily Summary - ${dailyStats.date}`,
-                description: `**${dailyStats.summoner.gameName}#${dailyStats.summoner.tagLine}**`,
-                fields: [
-                    {
-                        name: '🎮 GAMES',
-                        value: `${totalGames} ranked${dailyStats.casualGames > 0 ? `, ${dailyStats.casualGames} casual` : ''}`,
-                        inline: true
-                    },
-                    {
-                        name: '⏱️ PLAY TIME',
-                        value: playTime || 'N/A',
-                        inline: true
-                    },
-                    {
-                        name: '🏆 PERFORMANCE',
-                        value: `${dailyStats.wins}W-${dailyStats.losses}L (${winrate}% WR)\n${lpSummary}`,
-                        inline: false
+            embed.fields.push({
+                name: '📜 GAMES',
+                value: gameList,
+                inline: false
+            });
+        }
+        
+        return embed;
+    }
+
+    // LP chart as a message attachment, or null when there's not enough data (or no canvas)
+    createLPGraphAttachment(title, points) {
+        try {
+            const image = renderLPGraph(title, points);
+            return image ? new AttachmentBuilder(image, { name: 'lp-graph.png' }) : null;
+        } catch (error) {
+            console.error('Error rendering LP graph:', error);
+            return null;
+        }
+    }
+
+    // LP at the end of each of the last `days` days (including today) for one queue
+    async createLPTrendAttachment(channelId, playerData, queueId, days = 7) {
+        const today = this.getToday(channelId);
+        const rows = await this.persistence.getDailySummaries(channelId, playerData.puuid, days, addDays(today, 1));
+        const queueDays = rows.filter(row => (row.queue_id || 420) === queueId).reverse();
+        
+        return this.createLPGraphAttachment(`${playerData.summonerName} - last ${days} days`, buildTrendPoints(queueDays));
+    }
+
+    // Rebuild daily stats for past days from daily_tracking, newest first (days with games only)
+    async loadDailyHistory(channelId, puuid, endDate, days) {
+        const rows = await this.persistence.getDailySummaries(channelId, puuid, days, endDate);
+        const history = [];
+        
+        for (const row of rows) {
+            if (!row.games_played) continue;
+            
+            const nameSeparator = row.summoner_name.lastIndexOf('#');
+            history.push({
+                dailyStats: {
+                    dailyTrackingId: row.id,
+                    date: row.date_key,
+                    queueId: row.queue_id || 420,
+                    summoner: {
+                        puuid,
+                        gameName: nameSeparator === -1 ? row.summoner_name : row.summoner_name.slice(0, nameSeparator),
+                        tagLine: nameSeparator === -1 ? '' : row.summoner_name.slice(nameSeparator + 1)
                     },
-                    {
-                        name: '🎮 CHAMPIONS',
-                        value: championSummary,
-                        inline: false
-                    }
-                ],
-                timestamp: new Date(),
-                footer: {
-                    text: 'LoL Paparazzi Daily Report'
-                }
-            };
+                    gamesPlayed: row.games_played,
+                    wins: row.wins || 0,
+                    losses: row.losses || 0,
+                    casualGames: row.casual_games || 0,
+                    totalLPChange: row.total_lp_change || 0,
+                    firstGameTime: row.first_game_time ? new Date(row.first_game_time) : null,
+                    lastGameTime: row.last_game_time ? new Date(row.last_game_time) : null,
+                    championStats: row.champion_stats || {},
+                    bestGame: row.best_game || null,
+                    worstGame: row.worst_game || null
+                },
+                games: await this.persistence.getDailyGames(row.id)
+            });
+        }
+        
+        return history;
+    }
+
+    // Recaps cover whole days ending yesterday in the timezone
+    async sendScheduledRecaps(timezone) {
+        const today = getDateKey(timezone);
+        const periods = [];
+        
+        if (getDayOfWeek(today) === 1) {
+            periods.push({ type: 'weekly', startDate: addDays(today, -7), endDate: today, days: 7 });
+        }
+        
+        if (today.endsWith('-01')) {
+            const startDate = `${addDays(today, -1).slice(0, 8)}01`;
+            const days = Math.round((getStartOfDay(today) - getStartOfDay(startDate)) / (24 * 60 * 60 * 1000));
+            periods.push({ type: 'monthly', startDate, endDate: today, days });
+        }
+        
+        if (periods.length === 0) return;
+        
+        for (const [channelId, roster] of this.trackedPlayers) {
+            if (this.getTimezoneForChannel(channelId) !== timezone) continue;
             
-            if (highlights) {
-                embed.fields.push({
-                    name: '📈 HIGHLIGHTS',
-                    value: highlights,
-                    inline: false
-                });
+            const guildId = this.getGuildIdForChannel(channelId);
+            for (const period of periods) {
+                if (period.type === 'monthly' && !(guildId && this.isMonthlyRecapEnabled(guildId))) continue;
+                
+                for (const playerData of roster.values()) {
+                    await this.sendRecap(channelId, playerData, period, timezone);
+                }
             }
+        }
+    }
+    
+    async sendRecap(channelId, playerData, period, timezone) {
+        try {
+            const rows = await this.persistence.getDailySummaries(channelId, playerData.puuid, period.days, period.endDate);
+            if (rows.length === 0) return;
             
-            await channel.send({ embeds: [embed] });
-            console.log(`📊 Sent daily summary for ${dailyStats.summoner.gameName}#${dailyStats.summoner.tagLine}`);
+            const channel = await this.discordClient.channels.fetch(channelId);
+            const periodInfo = RECAP_PERIODS[period.type];
             
+            // Predictions aren't split by queue, so the standings are shared by every queue's recap
+            const leaderboard = this.bettingManager && channel.guildId
+                ? await this.bettingManager.getLeaderboard({
+                    guildId: channel.guildId,
+                    channelId,
+                    trackedPlayerPuuid: playerData.puuid,
+                    since: getStartOfDay(period.startDate, timezone),
+                    until: getStartOfDay(period.endDate, timezone)
+                })
+                : [];
+            
+            for (const queueId of [...new Set(rows.map(row => row.queue_id || 420))]) {
+                const days = rows.filter(row => (row.queue_id || 420) === queueId).reverse();
+                
+                const gamesByDay = new Map();
+                for (const day of days) {
+                    if (day.games_played > 0) {
+                        gamesByDay.set(day.id, await this.persistence.getDailyGames(day.id));
+                    }
+                }
+                
+                const recap = summarizePeriod(days, gamesByDay);
+                if (recap.gamesPlayed === 0) continue;
+                
+                const winrate = Math.round((recap.wins / recap.gamesPlayed) * 100);
+                const lpText = `${recap.netLP > 0 ? '+' : ''}${recap.netLP} LP`;
+                const formatDay = (day) => `${day.date}: ${day.wins}W-${day.losses}L (${day.lpChange > 0 ? '+' : ''}${day.lpChange} LP)`;
+                
+                let rankMovement = `${formatRankSnapshot(recap.startRank)} → ${formatRankSnapshot(recap.endRank)}`;
+                if (recap.promotions > 0 || recap.demotions > 0) {
+                    rankMovement += `\n${recap.promotions} promotion${recap.promotions === 1 ? '' : 's'}, ${recap.demotions} demotion${recap.demotions === 1 ? '' : 's'}`;
+                }
+                
+                const championSummary = getTopChampions(recap.championStats).map(([champ, data]) =>
+                    `${champ} (${data.games} games) - ${data.wins}W-${data.losses}L`
+                ).join('\n');
+                
+                const embed = {
+                    color: 0x5865f2,
+                    title: `${periodInfo.emoji} ${periodInfo.label} Recap - ${period.startDate} to ${addDays(period.endDate, -1)}`,
+                    description: `**${playerData.summonerName}** • ${getQueueName(queueId)}`,
+                    fields: [
+                        {
+                            name: '🏆 PERFORMANCE',
+                            value: `${recap.gamesPlayed} games over ${recap.daysPlayed} day${recap.daysPlayed === 1 ? '' : 's'}\n${recap.wins}W-${recap.losses}L (${winrate}% WR) • ${lpText}`,
+                            inline: false
+                        },
+                        {
+                            name: '📈 RANK',
+                            value: rankMovement,
+                            inline: false
+                        },
+                        {
+                            name: '🎮 TOP CHAMPIONS',
+                            value: championSummary || 'No champions tracked',
+                            inline: false
+                        },
+                        {
+                            name: '☀️ BEST DAY',
+                            value: formatDay(recap.bestDay),
+                            inline: true
+                        },
+                        {
+                            name: '🌧️ WORST DAY',
+                            value: formatDay(recap.worstDay),
+                            inline: true
+                        }
+                    ],
+                    timestamp: new Date(),
+                    footer: {
+                        text: `LoL Paparazzi ${periodInfo.label} Report`
+                    }
+                };
+                
+                if (recap.bestGame) {
+                    embed.fields.push({
+                        name: '🥇 BEST GAME',
+                        value: `${recap.bestGame.kda} KDA on ${recap.bestGame.champion} (${recap.bestGame.date})`,
+                        inline: false
+                    });
+                }
+                
+                const graph = this.createLPGraphAttachment(
+                    `${playerData.summonerName} - ${periodInfo.label} LP`,
+                    buildTrendPoints(days)
+                );
+                if (graph) {
+                    embed.image = { url: `attachment://${graph.name}` };
+                }
+                
+                if (leaderboard.length > 0) {
+                    embed.fields.push({
+                        name: '🔮 TOP PREDICTORS',
+                        value: leaderboard.slice(0, 5).map(entry =>
+                            `${getRankMedal(entry.rank)} <@${entry.userId}> - ${entry.totalPoints} pts (${entry.correctPredictions}/${entry.totalPredictions})`
+                        ).join('\n'),
+                        inline: false
+                    });
+                }
+                
+                await channel.send({ embeds: [embed], files: graph ? [graph] : [] });
+                console.log(`${periodInfo.emoji} Sent ${period.type} recap for ${playerData.summonerName} (${getQueueName(queueId)})`);
+            }
         } catch (error) {
-            console.error('Error sending daily summary:', error);
+            console.error(`Error sending ${period.type} recap:`, error);
         }
     }
 
     async startTracking() {
+        // Timezones decide each channel's day, so load them before today's stats
+        await this.restoreGuildSettings();
+        
+        // Rebuild channel rosters and today's stats from the database
+        await this.restoreTrackingData();
+        
         // Schedule regular checks
         this.scheduleNextCheck();
         
@@ -730,6 +1145,67 @@ class DailyTracker {
         console.log('Daily tracking started');
     }
 
+    async restoreGuildSettings() {
+        const guildSettings = await this.persistence.loadGuildSettings();
+        
+        for (const settings of guildSettings) {
+            this.guildSettings.set(settings.guildId, {
+                timezone: settings.timezone,
+                wageringEnabled: settings.wageringEnabled,
+                monthlyRecap: settings.monthlyRecap
+            });
+        }
+        
+        if (guildSettings.length > 0) {
+            console.log(`🕛 Restored settings for ${guildSettings.length} guilds`);
+        }
+    }
+
+    async restoreTrackingData() {
+        try {
+            console.log('🔍 Restoring tracked players from database...');
+            const savedPlayers = await this.persistence.loadTrackedPlayers();
+            
+            if (savedPlayers.length === 0) {
+                console.log('ℹ️ No tracked players to restore');
+                return;
+            }
+            
+            for (const playerData of savedPlayers) {
+                this.addToRoster(playerData);
+                await this.initializeDailyData(playerData.channelId, playerData);
+                await this.reconcileInProgressGame(playerData.channelId, playerData);
+                console.log(`🎮 Channel ${playerData.channelId}: Tracking ${playerData.summonerName}`);
+            }
+            
+            console.log(`📥 Restored ${savedPlayers.length} tracked players across ${this.trackedPlayers.size} channels`);
+        } catch (error) {
+            console.error('Error restoring tracking data:', error);
+        }
+    }
+
+    // A game recorded as in progress at shutdown may have finished during the downtime
+    async reconcileInProgressGame(channelId, playerData) {
+        if (!playerData.currentGameId) return;
+        
+        try {
+            const summoner = await this.riotApi.getSummonerByName(playerData.originalInput, playerData.region);
+            const currentGame = await this.riotApi.getCurrentGame(summoner.puuid, true, summoner.region);
+            
+            if (currentGame && currentGame.gameId === playerData.currentGameId) {
+                console.log(`🎮 ${playerData.summonerName} is still in game ${playerData.currentGameId}`);
+                return;
+            }
+            
+            console.log(`🔍 Detected game completed during downtime for ${playerData.summonerName}: ${playerData.currentGameId}`);
+            
+            // Quick analysis - the match is usually already published
+            await this.completeCurrentGame(channelId, playerData, summoner, 0.1);
+        } catch (error) {
+            console.error(`Error reconciling in-progress game for ${playerData.summonerName}:`, error);
+        }
+    }
+
     scheduleNextCheck() {
         if (this.cronJob) {
             this.cronJob.stop();
@@ -737,7 +1213,7 @@ class DailyTracker {
 
         this.cronJob = cron.schedule(this.pollingInterval, async () => {
             if (this.trackedPlayers.size === 0) return;
-            console.log(`Checking ${this.trackedPlayers.size} tracked players...`);
+            console.log(`Checking ${this.getTrackedPlayerCount()} tracked players across ${this.trackedPlayers.size} channels...`);
             await this.checkPlayer();
         });
 
@@ -745,33 +1221,42 @@ class DailyTracker {
     }
 
     scheduleDailySummary() {
-        if (this.dailySummaryJob) {
-            this.dailySummaryJob.stop();
+        for (const job of this.dailySummaryJobs.values()) {
+            job.stop();
         }
+        this.dailySummaryJobs.clear();
+        
+        const timezones = new Set([DEFAULT_TIMEZONE, ...Array.from(this.guildSettings.values(), settings => settings.timezone)]);
+        for (const timezone of timezones) {
+            this.scheduleMidnightSummary(timezone);
+        }
+    }
 
-        // Run at midnight every day
-        this.dailySummaryJob = cron.schedule('0 0 * * *', async () => {
-            console.log('🌙 Running daily summary at midnight...');
+    // Run at midnight every day in the given timezone
+    scheduleMidnightSummary(timezone) {
+        if (this.dailySummaryJobs.has(timezone)) return;
+        
+        const job = cron.schedule('0 0 * * *', async () => {
+            console.log(`🌙 Running daily summary at midnight (${timezone})...`);
             
-            for (const [channelId, dailyStats] of this.dailyData) {
-                if (dailyStats.gamesPlayed > 0) {
-                    await this.sendDailySummary(channelId, dailyStats);
+            // Summarize yesterday and start a new day for channels in this timezone
+            for (const [channelId, roster] of this.trackedPlayers) {
+                if (this.getTimezoneForChannel(channelId) !== timezone) continue;
+                
+                for (const playerData of roster.values()) {
+                    await this.checkAndResetDailyData(channelId, playerData);
                 }
             }
             
-            // Clear daily data for new day
-            this.dailyData.clear();
-            
-            // Re-initialize for tracked players
-            for (const [channelId, playerData] of this.trackedPlayers) {
-                await this.initializeDailyData(channelId, playerData);
-            }
+            // Weekly recaps go out on Mondays, monthly ones on the 1st
+            await this.sendScheduledRecaps(timezone);
             
-            // Cleanup old daily data (keep 30 days)
-            await this.persistence.cleanupOldDailyData(30);
-        });
-
-        console.log('Daily summary scheduled for midnight');
+            // Cleanup old daily data
+            await this.persistence.cleanupOldDailyData(this.dailyRetentionDays);
+        }, { timezone });
+        
+        this.dailySummaryJobs.set(timezone, job);
+        console.log(`Daily summary scheduled for midnight (${timezone})`);
     }
 
     stopTracking() {
@@ -780,24 +1265,160 @@ class DailyTracker {
             this.cronJob = null;
         }
         
-        if (this.dailySummaryJob) {
-            this.dailySummaryJob.stop();
-            this.dailySummaryJob = null;
+        for (const job of this.dailySummaryJobs.values()) {
+            job.stop();
         }
+        this.dailySummaryJobs.clear();
         
         console.log('Daily tracking stopped');
     }
 
-    // Get tracker for a specific channel
-    getTrackerForChannel(channelId) {
-        return this.trackedPlayers.get(channelId);
+    getGuildSettings(guildId) {
+        return this.guildSettings.get(guildId) || { timezone: DEFAULT_TIMEZONE, wageringEnabled: false, monthlyRecap: false };
+    }
+
+    async updateGuildSettings(guildId, changes) {
+        const settings = { ...this.getGuildSettings(guildId), ...changes };
+        this.guildSettings.set(guildId, settings);
+        await this.persistence.saveGuildSettings(guildId, settings);
+        return settings;
+    }
+
+    getGuildTimezone(guildId) {
+        return this.getGuildSettings(guildId).timezone;
+    }
+
+    async setGuildTimezone(guildId, timezone) {
+        await this.updateGuildSettings(guildId, { timezone });
+        
+        // The next poll rolls the guild's players over if their day changed
+        this.scheduleMidnightSummary(timezone);
+        console.log(`🕛 Guild ${guildId} timezone set to ${timezone}`);
+    }
+
+    isWageringEnabled(guildId) {
+        return this.getGuildSettings(guildId).wageringEnabled;
     }
 
-    // Remove tracking for a channel
-    removeTracking(channelId) {
-        this.trackedPlayers.delete(channelId);
-        this.dailyData.delete(channelId);
-        console.log(`Removed tracking for channel ${channelId}`);
+    async setWageringEnabled(guildId, enabled) {
+        await this.updateGuildSettings(guildId, { wageringEnabled: enabled });
+        console.log(`💎 Guild ${guildId} wagering ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    isMonthlyRecapEnabled(guildId) {
+        return this.getGuildSettings(guildId).monthlyRecap;
+    }
+
+    async setMonthlyRecapEnabled(guildId, enabled) {
+        await this.updateGuildSettings(guildId, { monthlyRecap: enabled });
+        console.log(`📆 Guild ${guildId} monthly recap ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    getGuildIdForChannel(channelId) {
+        const channel = this.discordClient.channels.cache.get(channelId);
+        return channel && channel.guildId ? channel.guildId : null;
+    }
+
+    getTimezoneForChannel(channelId) {
+        const guildId = this.getGuildIdForChannel(channelId);
+        return guildId ? this.getGuildTimezone(guildId) : DEFAULT_TIMEZONE;
+    }
+
+    // Today's date key (YYYY-MM-DD) in the channel's guild timezone
+    getToday(channelId) {
+        return getDateKey(this.getTimezoneForChannel(channelId));
+    }
+
+    // Get the roster of tracked players for a specific channel
+    getPlayersForChannel(channelId) {
+        const roster = this.trackedPlayers.get(channelId);
+        return roster ? Array.from(roster.values()) : [];
+    }
+
+    addToRoster(playerData) {
+        if (!this.trackedPlayers.has(playerData.channelId)) {
+            this.trackedPlayers.set(playerData.channelId, new Map());
+        }
+        this.trackedPlayers.get(playerData.channelId).set(playerData.puuid, playerData);
+    }
+
+    getTrackedPlayer(channelId, puuid) {
+        const roster = this.trackedPlayers.get(channelId);
+        return roster ? roster.get(puuid) : undefined;
+    }
+
+    // Find a tracked player in a channel by Riot ID (case-insensitive)
+    findPlayerInChannel(channelId, riotId) {
+        const normalized = riotId.trim().toLowerCase();
+        return this.getPlayersForChannel(channelId).find(playerData =>
+            playerData.summonerName.toLowerCase() === normalized ||
+            playerData.originalInput.toLowerCase() === normalized
+        );
+    }
+
+    getTrackedPlayerCount() {
+        let count = 0;
+        for (const roster of this.trackedPlayers.values()) {
+            count += roster.size;
+        }
+        return count;
+    }
+
+    // Change which ranked queues count as tracked for a roster member
+    async setPlayerQueues(channelId, puuid, queueIds) {
+        const playerData = this.getTrackedPlayer(channelId, puuid);
+        if (!playerData) return null;
+        
+        playerData.queues = queueIds;
+        await this.persistence.saveTrackedPlayer(playerData);
+        
+        // Rebuild today's stats for the new set of queues
+        await this.initializeDailyData(channelId, playerData);
+        console.log(`🎯 ${playerData.summonerName} now tracks queues ${queueIds.join(', ')} in channel ${channelId}`);
+        
+        return playerData;
+    }
+
+    getDailyStats(channelId, puuid, queueId = 420) {
+        const roster = this.dailyData.get(channelId);
+        const queueStats = roster ? roster.get(puuid) : undefined;
+        return queueStats ? queueStats.get(queueId) : undefined;
+    }
+
+    // All of today's per-queue stats for a player
+    getPlayerDailyStats(channelId, puuid) {
+        const roster = this.dailyData.get(channelId);
+        const queueStats = roster ? roster.get(puuid) : undefined;
+        return queueStats ? Array.from(queueStats.values()) : [];
+    }
+
+    setPlayerDailyStats(channelId, puuid, queueStats) {
+        if (!this.dailyData.has(channelId)) {
+            this.dailyData.set(channelId, new Map());
+        }
+        this.dailyData.get(channelId).set(puuid, queueStats);
+    }
+
+    // Remove tracking for a single player in a channel
+    async removeTracking(channelId, puuid) {
+        const roster = this.trackedPlayers.get(channelId);
+        if (roster) {
+            roster.delete(puuid);
+            if (roster.size === 0) {
+                this.trackedPlayers.delete(channelId);
+            }
+        }
+        
+        const dailyRoster = this.dailyData.get(channelId);
+        if (dailyRoster) {
+            dailyRoster.delete(puuid);
+            if (dailyRoster.size === 0) {
+                this.dailyData.delete(channelId);
+            }
+        }
+        
+        await this.persistence.removeTrackedPlayer(channelId, puuid);
+        console.log(`Removed tracking for ${puuid} in channel ${channelId}`);
     }
 }
 
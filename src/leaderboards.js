@@ -0,0 +1,39 @@
+// Who a /leaderboard covers
+const LEADERBOARD_SCOPES = {
+    player: { label: 'This player' },
+    channel: { label: 'This channel' },
+    guild: { label: 'Whole server' }
+};
+
+// Time windows, as the Postgres date_trunc unit each one starts from (null = all time).
+// The season window starts when the server's running prediction season began.
+const LEADERBOARD_WINDOWS = {
+    week: { label: 'This week', truncate: 'week' },
+    month: { label: 'This month', truncate: 'month' },
+    season: { label: 'This season', truncate: null },
+    all: { label: 'All time', truncate: null }
+};
+
+const LEADERBOARD_PAGE_SIZE = 10;
+
+function getRankMedal(rank) {
+    return rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `${rank}.`;
+}
+
+function getPageCount(entries) {
+    return Math.max(1, Math.ceil(entries.length / LEADERBOARD_PAGE_SIZE));
+}
+
+function getPage(entries, page) {
+    const start = page * LEADERBOARD_PAGE_SIZE;
+    return entries.slice(start, start + LEADERBOARD_PAGE_SIZE);
+}
+
+module.exports = {
+    LEADERBOARD_SCOPES,
+    LEADERBOARD_WINDOWS,
+    LEADERBOARD_PAGE_SIZE,
+    getRankMedal,
+    getPageCount,
+    getPage
+};
@@ -0,0 +1,170 @@
+const { createCanvas } = require('./canvas');
+const { TIERS, DIVISIONS, LP_PER_DIVISION, APEX_BASE_LP, getLadderLP, getRankAtLadderLP, formatRank } = require('./rankLadder');
+
+const WIDTH = 800;
+const HEIGHT = 360;
+const PADDING = { top: 56, right: 130, bottom: 40, left: 40 };
+const TIER_LP = DIVISIONS.length * LP_PER_DIVISION;
+
+const COLORS = {
+    background: '#2b2d31',
+    text: '#f2f3f5',
+    mutedText: '#949ba4',
+    line: '#f2f3f5',
+    win: '#43b581',
+    loss: '#f04747',
+    neutral: '#949ba4'
+};
+
+const TIER_COLORS = {
+    IRON: '#6b5d58',
+    BRONZE: '#a0694a',
+    SILVER: '#8fa3b0',
+    GOLD: '#d4a94d',
+    PLATINUM: '#3fa7a0',
+    EMERALD: '#2fa86b',
+    DIAMOND: '#6a7fe0',
+    MASTER: '#a64fd1'
+};
+
+// One day: the starting rank, then the rank after each game (falling back to the LP delta
+// for games recorded before rank snapshots were stored)
+function buildDayPoints(startRank, games) {
+    const points = [];
+    let ladderLP = startRank ? getLadderLP(startRank.tier, startRank.rank, startRank.lp || 0) : null;
+
+    if (ladderLP !== null) {
+        points.push({ label: 'Start', ladderLP, result: null });
+    }
+
+    games.forEach((game, index) => {
+        const after = game.tierAfter ? getLadderLP(game.tierAfter, game.rankAfter, game.lpAfter || 0) : null;
+        ladderLP = after !== null ? after : ladderLP !== null ? ladderLP + (game.lpChange || 0) : null;
+
+        if (ladderLP !== null) {
+            points.push({ label: `G${index + 1}`, ladderLP, result: game.result });
+        }
+    });
+
+    return points;
+}
+
+// Several days of daily_tracking rows (oldest first): where the first day started, then where each day ended
+function buildTrendPoints(days) {
+    const points = [];
+
+    for (const day of days) {
+        if (points.length === 0 && day.start_tier) {
+            points.push({ label: 'Start', ladderLP: getLadderLP(day.start_tier, day.start_rank, day.start_lp || 0), result: null });
+        }
+
+        const tier = day.end_tier || day.start_tier;
+        if (!tier) continue;
+
+        const ladderLP = getLadderLP(tier, day.end_tier ? day.end_rank : day.start_rank, (day.end_tier ? day.end_lp : day.start_lp) || 0);
+        const lpChange = day.total_lp_change || 0;
+        points.push({
+            label: day.date_key.slice(5),
+            ladderLP,
+            result: lpChange > 0 ? 'W' : lpChange < 0 ? 'L' : null
+        });
+    }
+
+    return points.filter(point => point.ladderLP !== null);
+}
+
+function getBoundaryLabel(ladderLP) {
+    if (ladderLP >= APEX_BASE_LP) {
+        return ladderLP === APEX_BASE_LP ? 'MASTER' : `MASTER+ ${ladderLP - APEX_BASE_LP} LP`;
+    }
+
+    const { tier, rank } = getRankAtLadderLP(ladderLP);
+    return formatRank(tier, rank);
+}
+
+// PNG line chart of ladder LP with division bands and tier boundaries; null when there's nothing to draw
+function renderLPGraph(title, points) {
+    if (!createCanvas || points.length < 2) return null;
+
+    const values = points.map(point => point.ladderLP);
+    const minY = Math.max(0, Math.floor((Math.min(...values) - 20) / LP_PER_DIVISION) * LP_PER_DIVISION);
+    const maxY = Math.ceil((Math.max(...values) + 20) / LP_PER_DIVISION) * LP_PER_DIVISION;
+
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const x = index => PADDING.left + (plotWidth * index) / (points.length - 1);
+    const y = ladderLP => PADDING.top + plotHeight - (plotHeight * (ladderLP - minY)) / (maxY - minY);
+
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+    ctx.fillStyle = COLORS.text;
+    ctx.font = 'bold 20px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(title, PADDING.left, PADDING.top / 2);
+
+    // Division bands tinted by tier, labelled on the right
+    ctx.font = '13px sans-serif';
+    for (let boundary = minY; boundary < maxY; boundary += LP_PER_DIVISION) {
+        const tier = boundary >= APEX_BASE_LP ? 'MASTER' : TIERS[Math.floor(boundary / TIER_LP)];
+
+        ctx.globalAlpha = 0.15;
+        ctx.fillStyle = TIER_COLORS[tier] || COLORS.neutral;
+        ctx.fillRect(PADDING.left, y(boundary + LP_PER_DIVISION), plotWidth, y(boundary) - y(boundary + LP_PER_DIVISION));
+        ctx.globalAlpha = 1;
+
+        const isTierBoundary = boundary % TIER_LP === 0 && boundary <= APEX_BASE_LP;
+        ctx.strokeStyle = isTierBoundary ? TIER_COLORS[tier] || COLORS.neutral : COLORS.mutedText;
+        ctx.lineWidth = isTierBoundary ? 2 : 1;
+        ctx.setLineDash(isTierBoundary ? [] : [4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(PADDING.left, y(boundary));
+        ctx.lineTo(PADDING.left + plotWidth, y(boundary));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = isTierBoundary ? COLORS.text : COLORS.mutedText;
+        ctx.fillText(getBoundaryLabel(boundary), PADDING.left + plotWidth + 10, y(boundary) - 8);
+    }
+
+    // LP line with a dot per point, green for gains and red for losses
+    ctx.strokeStyle = COLORS.line;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    points.forEach((point, index) => {
+        if (index === 0) {
+            ctx.moveTo(x(index), y(point.ladderLP));
+        } else {
+            ctx.lineTo(x(index), y(point.ladderLP));
+        }
+    });
+    ctx.stroke();
+
+    for (const [index, point] of points.entries()) {
+        ctx.fillStyle = point.result === 'W' ? COLORS.win : point.result === 'L' ? COLORS.loss : COLORS.neutral;
+        ctx.beginPath();
+        ctx.arc(x(index), y(point.ladderLP), 5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // X-axis labels, thinned out so they don't overlap
+    ctx.fillStyle = COLORS.mutedText;
+    ctx.textAlign = 'center';
+    const labelStep = Math.ceil(points.length / 12);
+    points.forEach((point, index) => {
+        if (index % labelStep === 0 || index === points.length - 1) {
+            ctx.fillText(point.label, x(index), HEIGHT - PADDING.bottom / 2);
+        }
+    });
+
+    return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+    buildDayPoints,
+    buildTrendPoints,
+    renderLPGraph
+};
@@ -0,0 +1,77 @@
+const { probabilityToOdds } = require('./odds');
+
+// Prediction markets offered on each panel. 'outcome' is the classic win/loss call;
+// the rest are prop markets resolved from the tracked player's match-v5 participant data.
+// Each prop option carries a prior probability (typical ranked games) and pays the matching fair odds,
+// so the likely side of a prop is worth no more on average than a long shot.
+const DEATHS_LINE = 5.5;
+const DURATION_LINE_MINUTES = 30;
+const KDA_LINE = 3;
+
+const MARKETS = {
+    outcome: {
+        label: 'Result',
+        options: { win: 'WIN', loss: 'LOSS' },
+        resolve: (participant) => participant.win ? 'win' : 'loss'
+    },
+    deaths: {
+        label: `Deaths (${DEATHS_LINE})`,
+        options: { over: `DEATHS OVER ${DEATHS_LINE}`, under: `DEATHS UNDER ${DEATHS_LINE}` },
+        probabilities: { over: 0.45, under: 0.55 },
+        resolve: (participant) => participant.deaths > DEATHS_LINE ? 'over' : 'under'
+    },
+    firstblood: {
+        label: 'First Blood',
+        options: { yes: 'GETS FIRST BLOOD', no: 'NO FIRST BLOOD' },
+        // A killer plus an assist or two out of ten players
+        probabilities: { yes: 0.2, no: 0.8 },
+        // A kill or an assist on first blood both count
+        resolve: (participant) => participant.firstBloodKill || participant.firstBloodAssist ? 'yes' : 'no'
+    },
+    duration: {
+        label: `Game Length (${DURATION_LINE_MINUTES} min)`,
+        options: { over: `OVER ${DURATION_LINE_MINUTES} MIN`, under: `UNDER ${DURATION_LINE_MINUTES} MIN` },
+        probabilities: { over: 0.45, under: 0.55 },
+        resolve: (participant, matchData) => matchData.info.gameDuration > DURATION_LINE_MINUTES * 60 ? 'over' : 'under'
+    },
+    kda: {
+        label: `KDA (${KDA_LINE})`,
+        options: { over: `KDA ABOVE ${KDA_LINE}`, under: `KDA ${KDA_LINE} OR BELOW` },
+        probabilities: { over: 0.4, under: 0.6 },
+        resolve: (participant) => (participant.kills + participant.assists) / Math.max(1, participant.deaths) > KDA_LINE ? 'over' : 'under'
+    }
+};
+
+const PROP_MARKETS = Object.keys(MARKETS).filter(market => market !== 'outcome');
+
+function isValidPick(market, option) {
+    return !!MARKETS[market] && Object.prototype.hasOwnProperty.call(MARKETS[market].options, option);
+}
+
+// Decimal odds locked in for a prop pick, e.g. getPropOdds('firstblood', 'no') -> 1.25
+function getPropOdds(market, option) {
+    return probabilityToOdds(MARKETS[market].probabilities[option]);
+}
+
+// Settle a market for the tracked player; null when the participant is missing
+function resolveMarket(market, matchData, puuid) {
+    const participant = matchData && matchData.info.participants.find(p => p.puuid === puuid);
+    if (!participant || !MARKETS[market]) return null;
+
+    return MARKETS[market].resolve(participant, matchData);
+}
+
+// e.g. formatPick('deaths', 'under') -> 'DEATHS UNDER 5.5'
+function formatPick(market = 'outcome', option) {
+    const definition = MARKETS[market];
+    return definition && definition.options[option] ? definition.options[option] : String(option).toUpperCase();
+}
+
+module.exports = {
+    MARKETS,
+    PROP_MARKETS,
+    isValidPick,
+    getPropOdds,
+    resolveMarket,
+    formatPick
+};
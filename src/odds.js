@@ -0,0 +1,77 @@
+// Win probability model for prediction panels, built from analyzeCurrentGame data.
+// Predictions are scored (and stakes paid) at the decimal odds implied by the estimate.
+const EVEN_ODDS = 2.0;
+const POINTS_PER_ODDS = 100;
+
+// Keep every outcome a live option, however lopsided the lobby looks
+const MIN_PROBABILITY = 0.15;
+const MAX_PROBABILITY = 0.85;
+
+// Unranked players have no winrate, so they count as a coin flip
+function getEffectiveWinrate(player) {
+    return player.rankedStats && player.rankedStats.rank !== 'Unranked' && player.rankedStats.rank !== 'Unknown'
+        ? player.rankedStats.winrate
+        : 50;
+}
+
+function getAverageWinrate(team) {
+    if (team.length === 0) return 50;
+    return team.reduce((sum, player) => sum + getEffectiveWinrate(player), 0) / team.length;
+}
+
+// Probability that the tracked player's team wins
+function estimateWinProbability(gameAnalysis) {
+    const { trackedPlayer, teams } = gameAnalysis;
+    const allyTeamId = trackedPlayer.participant.teamId;
+    const allies = allyTeamId === 100 ? teams.blue : teams.red;
+    const enemies = allyTeamId === 100 ? teams.red : teams.blue;
+
+    // Team strength: each point of average ranked winrate edge is worth 1.5% win chance
+    const teamEdge = (getAverageWinrate(allies) - getAverageWinrate(enemies)) / 100 * 1.5;
+
+    // Champion familiarity: winrate on this champion, trusted more the more games it covers
+    const champStats = trackedPlayer.championStats;
+    const familiarity = champStats.gamesPlayed > 0
+        ? (champStats.winrate - 50) / 100 * 0.5 * Math.min(champStats.gamesPlayed, 10) / 10
+        : -0.03; // first game on the champion
+
+    // Recent form on the champion (last 5 games)
+    const form = champStats.recentGames > 0
+        ? (champStats.recentWins / champStats.recentGames - 0.5) * 0.1
+        : 0;
+
+    const probability = 0.5 + teamEdge + familiarity + form;
+    return Math.min(MAX_PROBABILITY, Math.max(MIN_PROBABILITY, probability));
+}
+
+function probabilityToOdds(probability) {
+    return Math.round((1 / probability) * 100) / 100;
+}
+
+// Decimal odds for both outcomes, e.g. { win: 1.67, loss: 2.5 }
+function calculateOdds(gameAnalysis) {
+    const winProbability = estimateWinProbability(gameAnalysis);
+    return {
+        winProbability,
+        win: probabilityToOdds(winProbability),
+        loss: probabilityToOdds(1 - winProbability)
+    };
+}
+
+// Leaderboard points for a correct prediction at the given odds (even odds = 200)
+function calculatePoints(odds) {
+    return Math.round((odds || EVEN_ODDS) * POINTS_PER_ODDS);
+}
+
+function formatOdds(odds) {
+    return `${Number(odds).toFixed(2)}x`;
+}
+
+module.exports = {
+    EVEN_ODDS,
+    estimateWinProbability,
+    calculateOdds,
+    probabilityToOdds,
+    calculatePoints,
+    formatOdds
+};
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { RANKED_QUEUES } = require('./queues');
 
 class PersistenceManager {
     constructor() {
@@ -10,7 +11,8 @@ class PersistenceManager {
                 connectionString: process.env.DATABASE_URL,
                 ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
             });
-            this.initializeDatabase();
+            // Keep the initialization promise so startup restores can wait for the schema
+            this.initialized = this.initializeDatabase();
         } else {
             console.log('⚠️  DATABASE_URL not found - persistence disabled until PostgreSQL is configured');
         }
@@ -146,13 +148,32 @@ class PersistenceManager {
                     champion_stats JSONB,
                     best_game JSONB,
                     worst_game JSONB,
+                    queue_id INTEGER DEFAULT 420,
                     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(channel_id, summoner_puuid, date)
+                    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
                 )
             `);
             console.log('✅ Daily tracking table initialized');
 
+            // Daily tracking is kept per ranked queue (solo and flex LP are separate)
+            try {
+                await this.pool.query(`
+                    ALTER TABLE daily_tracking 
+                    ADD COLUMN IF NOT EXISTS queue_id INTEGER DEFAULT 420
+                `);
+                await this.pool.query(`
+                    ALTER TABLE daily_tracking 
+                    DROP CONSTRAINT IF EXISTS daily_tracking_channel_id_summoner_puuid_date_key
+                `);
+                await this.pool.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS daily_tracking_channel_puuid_date_queue_key
+                    ON daily_tracking (channel_id, summoner_puuid, date, queue_id)
+                `);
+                console.log('✅ Daily tracking columns migrated');
+            } catch (migrationError) {
+                console.log('ℹ️ Daily tracking migration skipped (likely already exist):', migrationError.message);
+            }
+
             // Create daily games table for individual game records
             await this.pool.query(`
                 CREATE TABLE IF NOT EXISTS daily_games (
@@ -179,6 +200,52 @@ class PersistenceManager {
                 )
             `);
             console.log('✅ Daily games table initialized');
+            
+            // Rank before/after each game so promotions and demotions are recorded explicitly
+            try {
+                await this.pool.query(`
+                    ALTER TABLE daily_games 
+                    ADD COLUMN IF NOT EXISTS lp_event VARCHAR(20),
+                    ADD COLUMN IF NOT EXISTS tier_before VARCHAR(20),
+                    ADD COLUMN IF NOT EXISTS rank_before VARCHAR(5),
+                    ADD COLUMN IF NOT EXISTS tier_after VARCHAR(20),
+                    ADD COLUMN IF NOT EXISTS rank_after VARCHAR(5),
+                    ADD COLUMN IF NOT EXISTS lp_after INTEGER
+                `);
+                console.log('✅ Daily games rank columns migrated');
+            } catch (migrationError) {
+                console.log('ℹ️ Daily games rank column migration skipped (likely already exist):', migrationError.message);
+            }
+
+            // Create tracked players table (channel rosters restored on startup)
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS tracked_players (
+                    id SERIAL PRIMARY KEY,
+                    channel_id VARCHAR(255) NOT NULL,
+                    summoner_puuid VARCHAR(255) NOT NULL,
+                    summoner_name VARCHAR(255) NOT NULL,
+                    original_input VARCHAR(255) NOT NULL,
+                    current_game_id VARCHAR(255),
+                    current_game_queue_id INTEGER,
+                    last_completed_game_id VARCHAR(255),
+                    last_game_check TIMESTAMP WITH TIME ZONE,
+                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(channel_id, summoner_puuid)
+                )
+            `);
+            console.log('✅ Tracked players table initialized');
+            
+            try {
+                await this.pool.query(`
+                    ALTER TABLE tracked_players 
+                    ADD COLUMN IF NOT EXISTS region VARCHAR(10) DEFAULT 'na1',
+                    ADD COLUMN IF NOT EXISTS queues INTEGER[] DEFAULT '{420}'
+                `);
+                console.log('✅ Tracked players columns migrated');
+            } catch (migrationError) {
+                console.log('ℹ️ Tracked players column migration skipped (likely already exist):', migrationError.message);
+            }
 
             // Create pending match analysis queue table
             await this.pool.query(`
@@ -194,6 +261,65 @@ class PersistenceManager {
             `);
             console.log('✅ Match analysis queue table initialized');
             
+            // Channels can track several players, so queued analysis records its channel
+            try {
+                await this.pool.query(`
+                    ALTER TABLE pending_match_analysis 
+                    ADD COLUMN IF NOT EXISTS channel_id VARCHAR(255),
+                    ADD COLUMN IF NOT EXISTS queue_id INTEGER DEFAULT 420
+                `);
+                console.log('✅ Match analysis queue columns migrated');
+            } catch (migrationError) {
+                console.log('ℹ️ Match analysis queue column migration skipped (likely already exist):', migrationError.message);
+            }
+            
+            // Create guild settings table (per-server preferences such as timezone)
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS guild_settings (
+                    guild_id VARCHAR(255) PRIMARY KEY,
+                    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            console.log('✅ Guild settings table initialized');
+            
+            try {
+                await this.pool.query(`
+                    ALTER TABLE guild_settings 
+                    ADD COLUMN IF NOT EXISTS wagering_enabled BOOLEAN DEFAULT false,
+                    ADD COLUMN IF NOT EXISTS monthly_recap BOOLEAN DEFAULT false
+                `);
+                console.log('✅ Guild settings columns migrated');
+            } catch (migrationError) {
+                console.log('ℹ️ Guild settings column migration skipped (likely already exist):', migrationError.message);
+            }
+            
+            // Create static data table (Data Dragon snapshots, so names and icons survive a Data Dragon outage)
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS static_data (
+                    version VARCHAR(32) PRIMARY KEY,
+                    data JSONB NOT NULL,
+                    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            console.log('✅ Static data table initialized');
+            
+            // Create Riot API response cache (expires_at NULL = immutable, e.g. finished matches)
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS api_response_cache (
+                    cache_key VARCHAR(255) PRIMARY KEY,
+                    data JSONB NOT NULL,
+                    expires_at TIMESTAMP WITH TIME ZONE,
+                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await this.pool.query(`
+                CREATE INDEX IF NOT EXISTS idx_api_response_cache_expires_at
+                ON api_response_cache (expires_at) WHERE expires_at IS NOT NULL
+            `);
+            console.log('✅ API response cache table initialized');
+            
             // Create betting system tables
             await this.initializeBettingTables();
             
@@ -287,13 +413,131 @@ class PersistenceManager {
             `);
             console.log('✅ Prediction history table initialized');
             
-            // Keep legacy tables for migration period, but mark them as deprecated
+            // Audit trail of prediction placements, changes and withdrawals
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS prediction_changes (
+                    id SERIAL PRIMARY KEY,
+                    user_id VARCHAR(255) NOT NULL,
+                    guild_id VARCHAR(255) NOT NULL,
+                    channel_id VARCHAR(255) NOT NULL,
+                    game_id VARCHAR(255) NOT NULL,
+                    market VARCHAR(20) NOT NULL DEFAULT 'outcome',
+                    action VARCHAR(20) NOT NULL,
+                    previous_outcome VARCHAR(10),
+                    new_outcome VARCHAR(10),
+                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            console.log('✅ Prediction changes table initialized');
+            
+            // Admin-defined prediction seasons; final standings are archived when a season ends
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS prediction_seasons (
+                    id SERIAL PRIMARY KEY,
+                    guild_id VARCHAR(255) NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    channel_id VARCHAR(255),
+                    created_by VARCHAR(255),
+                    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                    ended_at TIMESTAMP WITH TIME ZONE,
+                    winner_role_id VARCHAR(255),
+                    final_standings JSONB
+                )
+            `);
+            try {
+                await this.pool.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS prediction_seasons_guild_name_key
+                    ON prediction_seasons (guild_id, LOWER(name))
+                `);
+                await this.pool.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS prediction_seasons_active_key
+                    ON prediction_seasons (guild_id) WHERE ended_at IS NULL
+                `);
+                console.log('✅ Prediction season indexes migrated');
+            } catch (migrationError) {
+                console.log('ℹ️ Prediction season index migration skipped:', migrationError.message);
+            }
+            console.log('✅ Prediction seasons table initialized');
+            
+            // Achievements unlock once per user per server
+            await this.pool.query(`
+                CREATE TABLE IF NOT EXISTS user_achievements (
+                    id SERIAL PRIMARY KEY,
+                    user_id VARCHAR(255) NOT NULL,
+                    guild_id VARCHAR(255) NOT NULL,
+                    achievement_key VARCHAR(50) NOT NULL,
+                    match_id VARCHAR(255),
+                    unlocked_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(user_id, guild_id, achievement_key)
+                )
+            `);
+            console.log('✅ User achievements table initialized');
+            
+            // Odds-based scoring: odds are locked in when a prediction is made
+            try {
+                await this.pool.query(`
+                    ALTER TABLE betting_panels 
+                    ADD COLUMN IF NOT EXISTS win_odds DECIMAL(5,2),
+                    ADD COLUMN IF NOT EXISTS loss_odds DECIMAL(5,2)
+                `);
+                await this.pool.query(`
+                    ALTER TABLE active_predictions 
+                    ADD COLUMN IF NOT EXISTS odds DECIMAL(5,2)
+                `);
+                await this.pool.query(`
+                    ALTER TABLE active_predictions 
+                    ADD COLUMN IF NOT EXISTS market VARCHAR(20) DEFAULT 'outcome'
+                `);
+                await this.pool.query(`
+                    ALTER TABLE prediction_history 
+                    ADD COLUMN IF NOT EXISTS market VARCHAR(20) DEFAULT 'outcome'
+                `);
+                await this.pool.query(`
+                    ALTER TABLE prediction_history 
+                    ADD COLUMN IF NOT EXISTS odds DECIMAL(5,2),
+                    ADD COLUMN IF NOT EXISTS points INTEGER
+                `);
+                await this.pool.query(`
+                    ALTER TABLE user_prediction_accuracy 
+                    ADD COLUMN IF NOT EXISTS total_points INTEGER
+                `);
+                
+                // Predictions made before odds existed count as even odds
+                await this.pool.query(`
+                    UPDATE prediction_history 
+                    SET points = CASE WHEN was_correct THEN 200 ELSE 0 END
+                    WHERE points IS NULL
+                `);
+                await this.pool.query(`
+                    UPDATE user_prediction_accuracy 
+                    SET total_points = correct_predictions * 200
+                    WHERE total_points IS NULL
+                `);
+                await this.pool.query(`ALTER TABLE prediction_history ALTER COLUMN points SET DEFAULT 0`);
+                await this.pool.query(`ALTER TABLE user_prediction_accuracy ALTER COLUMN total_points SET DEFAULT 0`);
+                console.log('✅ Prediction odds and market columns migrated');
+            } catch (migrationError) {
+                console.log('ℹ️ Prediction odds column migration skipped:', migrationError.message);
+            }
+            
+            // One live prediction per user, game and market, even when two clicks race
+            try {
+                await this.pool.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS active_predictions_one_active_per_market
+                    ON active_predictions (user_id, game_id, market) WHERE status = 'active'
+                `);
+                console.log('✅ Active prediction index migrated');
+            } catch (migrationError) {
+                console.log('ℹ️ Active prediction index migration skipped (existing rows violate it):', migrationError.message);
+            }
+            
+            // Credit economy tables (optional wagering on top of predictions)
             await this.pool.query(`
                 CREATE TABLE IF NOT EXISTS user_credits (
                     id SERIAL PRIMARY KEY,
                     user_id VARCHAR(255) NOT NULL UNIQUE,
                     guild_id VARCHAR(255) NOT NULL,
-                    balance INTEGER DEFAULT 100,
+                    balance INTEGER DEFAULT 100 CHECK (balance >= 0),
                     last_daily_claim DATE,
                     total_winnings INTEGER DEFAULT 0,
                     total_losses INTEGER DEFAULT 0,
@@ -333,7 +577,49 @@ class PersistenceManager {
                     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
                 )
             `);
-            console.log('✅ Legacy betting tables maintained for migration');
+            // Balances are kept per server, and settled bets remember their game
+            try {
+                await this.pool.query(`
+                    ALTER TABLE user_credits DROP CONSTRAINT IF EXISTS user_credits_user_id_key
+                `);
+                await this.pool.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS user_credits_user_guild_key
+                    ON user_credits (user_id, guild_id)
+                `);
+                await this.pool.query(`
+                    ALTER TABLE active_bets 
+                    ADD COLUMN IF NOT EXISTS odds DECIMAL(5,2)
+                `);
+                await this.pool.query(`
+                    ALTER TABLE bet_history 
+                    ADD COLUMN IF NOT EXISTS odds DECIMAL(5,2),
+                    ADD COLUMN IF NOT EXISTS game_id VARCHAR(255),
+                    ADD COLUMN IF NOT EXISTS channel_id VARCHAR(255),
+                    ADD COLUMN IF NOT EXISTS player_puuid VARCHAR(255)
+                `);
+                console.log('✅ Credit tables migrated');
+            } catch (migrationError) {
+                console.log('ℹ️ Credit table migration skipped:', migrationError.message);
+            }
+            
+            // Balances can't go negative, and a user has at most one live stake per game
+            try {
+                await this.pool.query(`
+                    ALTER TABLE user_credits DROP CONSTRAINT IF EXISTS user_credits_balance_check
+                `);
+                await this.pool.query(`
+                    ALTER TABLE user_credits 
+                    ADD CONSTRAINT user_credits_balance_check CHECK (balance >= 0)
+                `);
+                await this.pool.query(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS active_bets_one_active_per_game
+                    ON active_bets (user_id, game_id) WHERE status = 'active'
+                `);
+                console.log('✅ Credit constraints migrated');
+            } catch (migrationError) {
+                console.log('ℹ️ Credit constraint migration skipped (existing rows violate it):', migrationError.message);
+            }
+            console.log('✅ Credit economy tables initialized');
             
         } catch (error) {
             console.error('❌ Error initializing accuracy tracking tables:', error.message);
@@ -606,7 +892,132 @@ class PersistenceManager {
         }
     }
 
-    async queueMatchAnalysis(summonerData, gameId = null, delayMinutes = 0.5) {
+    // Tracked player roster methods
+    async saveTrackedPlayer(playerData) {
+        if (!this.databaseAvailable) return;
+        
+        try {
+            await this.pool.query(`
+                INSERT INTO tracked_players (
+                    channel_id, summoner_puuid, summoner_name, original_input,
+                    current_game_id, current_game_queue_id, last_completed_game_id, last_game_check,
+                    region, queues
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                ON CONFLICT (channel_id, summoner_puuid)
+                DO UPDATE SET
+                    summoner_name = EXCLUDED.summoner_name,
+                    original_input = EXCLUDED.original_input,
+                    region = EXCLUDED.region,
+                    queues = EXCLUDED.queues,
+                    current_game_id = EXCLUDED.current_game_id,
+                    current_game_queue_id = EXCLUDED.current_game_queue_id,
+                    last_completed_game_id = EXCLUDED.last_completed_game_id,
+                    last_game_check = EXCLUDED.last_game_check,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [
+                playerData.channelId,
+                playerData.puuid,
+                playerData.summonerName,
+                playerData.originalInput,
+                playerData.currentGameId,
+                playerData.currentGameQueueId,
+                playerData.lastCompletedGameId,
+                playerData.lastGameCheck,
+                playerData.region,
+                playerData.queues
+            ]);
+        } catch (error) {
+            console.error('❌ Error saving tracked player:', error.message);
+        }
+    }
+
+    async loadTrackedPlayers() {
+        if (!this.databaseAvailable) {
+            console.log('ℹ️ Database not available - no tracked players to restore');
+            return [];
+        }
+        
+        try {
+            await this.initialized;
+            
+            const result = await this.pool.query(
+                'SELECT * FROM tracked_players ORDER BY created_at ASC'
+            );
+            
+            return result.rows.map(row => ({
+                summonerName: row.summoner_name,
+                channelId: row.channel_id,
+                puuid: row.summoner_puuid,
+                region: row.region,
+                queues: row.queues && row.queues.length > 0 ? row.queues : [420],
+                originalInput: row.original_input,
+                // Spectator game IDs are numbers, but stored as text
+                currentGameId: row.current_game_id ? parseInt(row.current_game_id) : null,
+                currentGameQueueId: row.current_game_queue_id,
+                lastCompletedGameId: row.last_completed_game_id ? parseInt(row.last_completed_game_id) : null,
+                lastGameCheck: row.last_game_check ? new Date(row.last_game_check) : null
+            }));
+        } catch (error) {
+            console.error('❌ Error loading tracked players:', error.message);
+            return [];
+        }
+    }
+
+    async removeTrackedPlayer(channelId, summonerPuuid) {
+        if (!this.databaseAvailable) return;
+        
+        try {
+            await this.pool.query(
+                'DELETE FROM tracked_players WHERE channel_id = $1 AND summoner_puuid = $2',
+                [channelId, summonerPuuid]
+            );
+            console.log(`🗑️ Removed tracked player ${summonerPuuid} from channel ${channelId}`);
+        } catch (error) {
+            console.error('❌ Error removing tracked player:', error.message);
+        }
+    }
+
+    // Guild settings methods
+    async saveGuildSettings(guildId, settings) {
+        if (!this.databaseAvailable) return;
+        
+        try {
+            await this.pool.query(`
+                INSERT INTO guild_settings (guild_id, timezone, wagering_enabled, monthly_recap)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (guild_id)
+                DO UPDATE SET
+                    timezone = EXCLUDED.timezone,
+                    wagering_enabled = EXCLUDED.wagering_enabled,
+                    monthly_recap = EXCLUDED.monthly_recap,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [guildId, settings.timezone, settings.wageringEnabled, settings.monthlyRecap]);
+        } catch (error) {
+            console.error('❌ Error saving guild settings:', error.message);
+        }
+    }
+
+    async loadGuildSettings() {
+        if (!this.databaseAvailable) return [];
+        
+        try {
+            await this.initialized;
+            
+            const result = await this.pool.query('SELECT * FROM guild_settings');
+            
+            return result.rows.map(row => ({
+                guildId: row.guild_id,
+                timezone: row.timezone,
+                wageringEnabled: row.wagering_enabled,
+                monthlyRecap: row.monthly_recap || false
+            }));
+        } catch (error) {
+            console.error('❌ Error loading guild settings:', error.message);
+            return [];
+        }
+    }
+
+    async queueMatchAnalysis(summonerData, gameId = null, delayMinutes = 0.5, channelId = null, queueId = 420) {
         if (!this.databaseAvailable) {
             console.log('⚠️ Cannot queue match analysis - database not configured');
             return;
@@ -617,9 +1028,9 @@ class PersistenceManager {
             
             const query = `
                 INSERT INTO pending_match_analysis (
-                    summoner_puuid, game_id, summoner_data, scheduled_time
+                    summoner_puuid, game_id, summoner_data, scheduled_time, channel_id, queue_id
                 )
-                VALUES ($1, $2, $3, $4)
+                VALUES ($1, $2, $3, $4, $5, $6)
                 RETURNING id
             `;
             
@@ -627,7 +1038,9 @@ class PersistenceManager {
                 summonerData.puuid,
                 gameId,
                 JSON.stringify(summonerData),
-                scheduledTime
+                scheduledTime,
+                channelId,
+                queueId
             ]);
             
             console.log(`📝 Queued match analysis (ID: ${result.rows[0].id}) for ${summonerData.gameName}#${summonerData.tagLine}`);
@@ -637,6 +1050,20 @@ class PersistenceManager {
         }
     }
 
+    formatMatchAnalysisRow(row) {
+        return {
+            id: row.id,
+            summonerPuuid: row.summoner_puuid,
+            gameId: row.game_id,
+            summonerData: row.summoner_data,
+            channelId: row.channel_id,
+            queueId: row.queue_id || 420,
+            scheduledTime: new Date(row.scheduled_time),
+            retryCount: row.retry_count,
+            createdAt: new Date(row.created_at)
+        };
+    }
+
     async getPendingMatchAnalysis() {
         if (!this.databaseAvailable) {
             return [];
@@ -651,21 +1078,34 @@ class PersistenceManager {
                 LIMIT 5
             `, [now]);
             
-            return result.rows.map(row => ({
-                id: row.id,
-                summonerPuuid: row.summoner_puuid,
-                gameId: row.game_id,
-                summonerData: row.summoner_data,
-                scheduledTime: new Date(row.scheduled_time),
-                retryCount: row.retry_count,
-                createdAt: new Date(row.created_at)
-            }));
+            return result.rows.map(row => this.formatMatchAnalysisRow(row));
         } catch (error) {
             console.error('❌ Error fetching pending match analysis:', error.message);
             return [];
         }
     }
 
+    // Entries that will not be retried: queued over 24 hours ago or out of retries
+    async getStaleMatchAnalysis() {
+        if (!this.databaseAvailable) {
+            return [];
+        }
+        
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM pending_match_analysis 
+                WHERE created_at < NOW() - INTERVAL '24 hours' OR retry_count >= 3
+                ORDER BY created_at ASC
+                LIMIT 5
+            `);
+            
+            return result.rows.map(row => this.formatMatchAnalysisRow(row));
+        } catch (error) {
+            console.error('❌ Error fetching stale match analysis:', error.message);
+            return [];
+        }
+    }
+
     async markAnalysisComplete(analysisId) {
         if (!this.databaseAvailable) {
             return;
@@ -700,6 +1140,26 @@ class PersistenceManager {
         }
     }
 
+    // Match not published yet - check again later without using up a retry
+    async rescheduleAnalysis(analysisId, delayMinutes = 2) {
+        if (!this.databaseAvailable) {
+            return;
+        }
+        
+        try {
+            const newScheduledTime = new Date(Date.now() + delayMinutes * 60 * 1000);
+            
+            await this.pool.query(
+                'UPDATE pending_match_analysis SET scheduled_time = $2 WHERE id = $1',
+                [analysisId, newScheduledTime]
+            );
+            
+            console.log(`⏳ Match not available yet - rescheduled analysis (ID: ${analysisId})`);
+        } catch (error) {
+            console.error('❌ Error rescheduling analysis:', error.message);
+        }
+    }
+
     async cleanupOldAnalysis() {
         if (!this.databaseAvailable) {
             return;
@@ -935,16 +1395,16 @@ class PersistenceManager {
     }
 
     // Betting panel management methods
-    async saveBettingPanel(gameId, messageId, channelId, playerPuuid, gameStartTime) {
+    async saveBettingPanel(gameId, messageId, channelId, playerPuuid, gameStartTime, odds = null) {
         try {
             if (!this.databaseAvailable) return null;
 
             const result = await this.pool.query(`
-                INSERT INTO betting_panels (game_id, message_id, channel_id, player_puuid, game_start_time)
-                VALUES ($1, $2, $3, $4, $5)
+                INSERT INTO betting_panels (game_id, message_id, channel_id, player_puuid, game_start_time, win_odds, loss_odds)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
                 ON CONFLICT (game_id) DO NOTHING
                 RETURNING id
-            `, [gameId, messageId, channelId, playerPuuid, gameStartTime]);
+            `, [gameId, messageId, channelId, playerPuuid, gameStartTime, odds ? odds.win : null, odds ? odds.loss : null]);
 
             return result.rows.length > 0 ? result.rows[0].id : null;
         } catch (error) {
@@ -953,6 +1413,22 @@ class PersistenceManager {
         }
     }
 
+    async getBettingPanel(gameId) {
+        if (!this.databaseAvailable) return null;
+
+        try {
+            const result = await this.pool.query(
+                'SELECT * FROM betting_panels WHERE game_id = $1',
+                [gameId]
+            );
+
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting betting panel:', error);
+            return null;
+        }
+    }
+
     async checkBettingPanelExists(gameId) {
         try {
             if (!this.databaseAvailable) return false;
@@ -972,10 +1448,10 @@ class PersistenceManager {
         try {
             if (!this.databaseAvailable) return;
 
-            // Clean up betting panels older than 2 hours
+            // Clean up betting panels older than 6 hours (kept until the result is posted on them)
             const result = await this.pool.query(`
                 DELETE FROM betting_panels 
-                WHERE sent_at < NOW() - INTERVAL '2 hours'
+                WHERE sent_at < NOW() - INTERVAL '6 hours'
             `);
 
             if (result.rowCount > 0) {
@@ -986,15 +1462,139 @@ class PersistenceManager {
         }
     }
 
+    // Prediction season methods
+    async createPredictionSeason(guildId, name, channelId, createdBy) {
+        if (!this.databaseAvailable) return null;
+
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO prediction_seasons (guild_id, name, channel_id, created_by)
+                VALUES ($1, $2, $3, $4)
+                RETURNING *
+            `, [guildId, name, channelId, createdBy]);
+
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error creating prediction season:', error.message);
+            return null;
+        }
+    }
+
+    async getActivePredictionSeason(guildId) {
+        if (!this.databaseAvailable) return null;
+
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM prediction_seasons 
+                WHERE guild_id = $1 AND ended_at IS NULL
+            `, [guildId]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting active prediction season:', error.message);
+            return null;
+        }
+    }
+
+    async getPredictionSeason(guildId, name) {
+        if (!this.databaseAvailable) return null;
+
+        try {
+            const result = await this.pool.query(`
+                SELECT * FROM prediction_seasons 
+                WHERE guild_id = $1 AND LOWER(name) = LOWER($2)
+            `, [guildId, name.trim()]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting prediction season:', error.message);
+            return null;
+        }
+    }
+
+    async getPredictionSeasons(guildId) {
+        if (!this.databaseAvailable) return [];
+
+        try {
+            const result = await this.pool.query(`
+                SELECT id, name, started_at, ended_at, winner_role_id 
+                FROM prediction_seasons 
+                WHERE guild_id = $1
+                ORDER BY started_at DESC
+            `, [guildId]);
+
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting prediction seasons:', error.message);
+            return [];
+        }
+    }
+
+    async endPredictionSeason(seasonId, endedAt, standings, winnerRoleId = null) {
+        if (!this.databaseAvailable) return null;
+
+        try {
+            const result = await this.pool.query(`
+                UPDATE prediction_seasons 
+                SET ended_at = $2, final_standings = $3, winner_role_id = $4
+                WHERE id = $1 AND ended_at IS NULL
+                RETURNING *
+            `, [seasonId, endedAt, JSON.stringify(standings), winnerRoleId]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error ending prediction season:', error.message);
+            return null;
+        }
+    }
+
+    // Achievement methods
+    async saveAchievement(userId, guildId, achievementKey, matchId = null) {
+        if (!this.databaseAvailable) return false;
+
+        try {
+            // Only a first unlock returns a row
+            const result = await this.pool.query(`
+                INSERT INTO user_achievements (user_id, guild_id, achievement_key, match_id)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (user_id, guild_id, achievement_key) DO NOTHING
+                RETURNING id
+            `, [userId, guildId, achievementKey, matchId]);
+
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error saving achievement:', error.message);
+            return false;
+        }
+    }
+
+    async getUserAchievements(userId, guildId) {
+        if (!this.databaseAvailable) return [];
+
+        try {
+            const result = await this.pool.query(`
+                SELECT achievement_key, match_id, unlocked_at 
+                FROM user_achievements 
+                WHERE user_id = $1 AND guild_id = $2
+                ORDER BY unlocked_at ASC
+            `, [userId, guildId]);
+
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting user achievements:', error.message);
+            return [];
+        }
+    }
+
     // Daily tracking methods
-    async getDailyTracking(channelId, summonerPuuid, date) {
+    async getDailyTracking(channelId, summonerPuuid, date, queueId = 420) {
         if (!this.databaseAvailable) return null;
         
         try {
             const result = await this.pool.query(`
                 SELECT * FROM daily_tracking 
-                WHERE channel_id = $1 AND summoner_puuid = $2 AND date = $3
-            `, [channelId, summonerPuuid, date]);
+                WHERE channel_id = $1 AND summoner_puuid = $2 AND date = $3 AND queue_id = $4
+            `, [channelId, summonerPuuid, date, queueId]);
             
             return result.rows[0] || null;
         } catch (error) {
@@ -1003,16 +1603,16 @@ class PersistenceManager {
         }
     }
 
-    async createOrUpdateDailyTracking(channelId, summonerData, date) {
+    async createOrUpdateDailyTracking(channelId, summonerData, date, queueId = 420) {
         if (!this.databaseAvailable) return null;
         
         try {
             const result = await this.pool.query(`
                 INSERT INTO daily_tracking (
                     channel_id, summoner_puuid, summoner_name, date,
-                    start_lp, start_tier, start_rank
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-                ON CONFLICT (channel_id, summoner_puuid, date) 
+                    start_lp, start_tier, start_rank, queue_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                ON CONFLICT (channel_id, summoner_puuid, date, queue_id) 
                 DO UPDATE SET 
                     summoner_name = EXCLUDED.summoner_name,
                     updated_at = CURRENT_TIMESTAMP
@@ -1024,7 +1624,8 @@ class PersistenceManager {
                 date,
                 summonerData.currentLP || 0,
                 summonerData.currentTier,
-                summonerData.currentRank
+                summonerData.currentRank,
+                queueId
             ]);
             
             return result.rows[0].id;
@@ -1078,7 +1679,7 @@ class PersistenceManager {
         }
     }
 
-    async saveDailyGame(dailyTrackingId, gameData, matchData) {
+    async saveDailyGame(dailyTrackingId, gameData, matchData, lpChange = null) {
         if (!this.databaseAvailable) return;
         
         try {
@@ -1088,8 +1689,9 @@ class PersistenceManager {
                     kills, deaths, assists, kda_ratio,
                     cs, cs_per_min, game_duration_seconds, game_duration_text,
                     lp_change, game_start_time, game_end_time,
-                    queue_id, is_ranked
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+                    queue_id, is_ranked,
+                    lp_event, tier_before, rank_before, tier_after, rank_after, lp_after
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
             `, [
                 dailyTrackingId,
                 gameData.matchId,
@@ -1103,11 +1705,17 @@ class PersistenceManager {
                 parseFloat(gameData.csPerMin),
                 matchData.info.gameDuration,
                 gameData.gameDuration,
-                gameData.lpChange || 0,
+                lpChange && lpChange.change !== null ? lpChange.change : 0,
                 new Date(matchData.info.gameStartTimestamp),
                 new Date(matchData.info.gameEndTimestamp),
                 matchData.info.queueId,
-                matchData.info.queueId === 420
+                !!RANKED_QUEUES[matchData.info.queueId],
+                lpChange ? lpChange.event : null,
+                lpChange ? lpChange.previousTier : null,
+                lpChange ? lpChange.previousRank : null,
+                lpChange ? lpChange.tier : null,
+                lpChange ? lpChange.rank : null,
+                lpChange ? lpChange.current : null
             ]);
             
             console.log(`💾 Saved daily game: ${gameData.championName} ${gameData.win ? 'W' : 'L'}`);
@@ -1116,12 +1724,68 @@ class PersistenceManager {
         }
     }
 
-    async getDailySummaries(channelId, summonerPuuid, days = 7) {
+    // Whether a match was already recorded for this player in this channel
+    async hasDailyGame(channelId, summonerPuuid, matchId) {
+        if (!this.databaseAvailable) return false;
+        
+        try {
+            const result = await this.pool.query(`
+                SELECT 1 FROM daily_games dg
+                JOIN daily_tracking dt ON dg.daily_tracking_id = dt.id
+                WHERE dt.channel_id = $1 AND dt.summoner_puuid = $2 AND dg.match_id = $3
+                LIMIT 1
+            `, [channelId, summonerPuuid, matchId]);
+            
+            return result.rows.length > 0;
+        } catch (error) {
+            console.error('Error checking daily game:', error);
+            return false;
+        }
+    }
+
+    async getDailyGames(dailyTrackingId) {
         if (!this.databaseAvailable) return [];
         
         try {
             const result = await this.pool.query(`
-                SELECT * FROM daily_tracking 
+                SELECT * FROM daily_games 
+                WHERE daily_tracking_id = $1
+                ORDER BY game_end_time ASC
+            `, [dailyTrackingId]);
+            
+            return result.rows.map(row => {
+                const kdaValue = parseFloat(row.kda_ratio);
+                return {
+                    champion: row.champion,
+                    kda: kdaValue === 99 ? 'Perfect' : kdaValue.toFixed(2),
+                    kdaValue: kdaValue,
+                    result: row.win ? 'W' : 'L',
+                    lpChange: row.lp_change || 0,
+                    lpEvent: row.lp_event,
+                    tierAfter: row.tier_after,
+                    rankAfter: row.rank_after,
+                    lpAfter: row.lp_after,
+                    matchId: row.match_id
+                };
+            });
+        } catch (error) {
+            console.error('Error getting daily games:', error);
+            return [];
+        }
+    }
+
+    // Daily rows for the last `days` days, or for the `days` days before endDate (YYYY-MM-DD, exclusive)
+    async getDailySummaries(channelId, summonerPuuid, days = 7, endDate = null) {
+        if (!this.databaseAvailable) return [];
+        
+        try {
+            const result = endDate ? await this.pool.query(`
+                SELECT *, to_char(date, 'YYYY-MM-DD') AS date_key FROM daily_tracking 
+                WHERE channel_id = $1 AND summoner_puuid = $2 
+                AND date >= $3::date - $4::int AND date < $3::date
+                ORDER BY date DESC
+            `, [channelId, summonerPuuid, endDate, days]) : await this.pool.query(`
+                SELECT *, to_char(date, 'YYYY-MM-DD') AS date_key FROM daily_tracking 
                 WHERE channel_id = $1 AND summoner_puuid = $2 
                 AND date >= CURRENT_DATE - INTERVAL '${days} days'
                 ORDER BY date DESC
@@ -1151,6 +1815,120 @@ class PersistenceManager {
             console.error('Error cleaning up old daily data:', error);
         }
     }
+
+    // Riot API response cache methods (persistent layer for ApiRateLimiter)
+    async getApiResponse(cacheKey) {
+        if (!this.databaseAvailable) return null;
+        
+        try {
+            await this.initialized;
+            
+            const result = await this.pool.query(`
+                SELECT data, expires_at FROM api_response_cache
+                WHERE cache_key = $1 AND (expires_at IS NULL OR expires_at > NOW())
+            `, [cacheKey]);
+            
+            if (result.rows.length === 0) return null;
+            
+            return {
+                data: result.rows[0].data,
+                expiresAt: result.rows[0].expires_at
+            };
+        } catch (error) {
+            console.error('❌ Error loading cached API response:', error.message);
+            return null;
+        }
+    }
+
+    async saveApiResponse(cacheKey, data, expiresAt = null) {
+        if (!this.databaseAvailable) return;
+        
+        try {
+            await this.pool.query(`
+                INSERT INTO api_response_cache (cache_key, data, expires_at)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (cache_key)
+                DO UPDATE SET data = EXCLUDED.data, expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP
+            `, [cacheKey, JSON.stringify(data), expiresAt]);
+        } catch (error) {
+            console.error('❌ Error saving cached API response:', error.message);
+        }
+    }
+
+    async cleanupApiResponses() {
+        if (!this.databaseAvailable) return;
+        
+        try {
+            const result = await this.pool.query('DELETE FROM api_response_cache WHERE expires_at <= NOW()');
+            
+            if (result.rowCount > 0) {
+                console.log(`🧹 Cleaned up ${result.rowCount} expired API responses`);
+            }
+        } catch (error) {
+            console.error('Error cleaning up API response cache:', error);
+        }
+    }
+
+    // Static data methods
+    async loadStaticData() {
+        if (!this.databaseAvailable) return null;
+        
+        try {
+            await this.initialized;
+            
+            const result = await this.pool.query(`
+                SELECT version, data, fetched_at FROM static_data
+                ORDER BY fetched_at DESC
+                LIMIT 1
+            `);
+            
+            if (result.rows.length === 0) return null;
+            
+            const row = result.rows[0];
+            return {
+                ...row.data,
+                version: row.version,
+                fetchedAt: row.fetched_at
+            };
+        } catch (error) {
+            console.error('❌ Error loading static data:', error.message);
+            return null;
+        }
+    }
+
+    // Store a snapshot for its patch and keep only the most recent few patches
+    async saveStaticData(snapshot, versionsToKeep = 3) {
+        if (!this.databaseAvailable) return;
+        
+        try {
+            await this.pool.query(`
+                INSERT INTO static_data (version, data, fetched_at)
+                VALUES ($1, $2, CURRENT_TIMESTAMP)
+                ON CONFLICT (version)
+                DO UPDATE SET data = EXCLUDED.data, fetched_at = CURRENT_TIMESTAMP
+            `, [snapshot.version, JSON.stringify(snapshot)]);
+            
+            await this.pool.query(`
+                DELETE FROM static_data
+                WHERE version NOT IN (
+                    SELECT version FROM static_data ORDER BY fetched_at DESC LIMIT $1
+                )
+            `, [versionsToKeep]);
+        } catch (error) {
+            console.error('❌ Error saving static data:', error.message);
+        }
+    }
+
+    // Record that the stored snapshot is still the latest patch
+    async touchStaticData(version) {
+        if (!this.databaseAvailable) return;
+        
+        try {
+            await this.pool.query('UPDATE static_data SET fetched_at = CURRENT_TIMESTAMP WHERE version = $1', [version]);
+        } catch (error) {
+            console.error('❌ Error updating static data:', error.message);
+        }
+    }
 }
 
 module.exports = PersistenceManager;
\ No newline at end of file
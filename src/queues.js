@@ -0,0 +1,44 @@
+// Ranked queues that can be tracked, keyed by queue ID, with their league-v4 queue type
+const RANKED_QUEUES = {
+    420: { key: 'solo', name: 'Ranked Solo/Duo', shortName: 'Solo/Duo', leagueQueueType: 'RANKED_SOLO_5x5' },
+    440: { key: 'flex', name: 'Ranked Flex', shortName: 'Flex', leagueQueueType: 'RANKED_FLEX_SR' }
+};
+
+const DEFAULT_TRACKED_QUEUES = [420];
+
+// Choices offered by /setup and /queues
+const QUEUE_SELECTIONS = {
+    solo: { label: 'Solo/Duo only', queueIds: [420] },
+    flex: { label: 'Flex only', queueIds: [440] },
+    both: { label: 'Solo/Duo and Flex', queueIds: [420, 440] }
+};
+
+function getRankedQueue(queueId) {
+    return RANKED_QUEUES[queueId] || null;
+}
+
+function getQueueName(queueId) {
+    const queue = RANKED_QUEUES[queueId];
+    return queue ? queue.name : `Queue ${queueId}`;
+}
+
+// Find a player's league-v4 entry for a ranked queue
+function findRankEntry(rankInfo, queueId) {
+    const queue = RANKED_QUEUES[queueId];
+    if (!queue || !Array.isArray(rankInfo)) return undefined;
+    return rankInfo.find(entry => entry.queueType === queue.leagueQueueType);
+}
+
+function formatQueueList(queueIds) {
+    return queueIds.map(queueId => getRankedQueue(queueId) ? getRankedQueue(queueId).shortName : `Queue ${queueId}`).join(' + ');
+}
+
+module.exports = {
+    RANKED_QUEUES,
+    DEFAULT_TRACKED_QUEUES,
+    QUEUE_SELECTIONS,
+    getRankedQueue,
+    getQueueName,
+    findRankEntry,
+    formatQueueList
+};
@@ -0,0 +1,91 @@
+// Ranked ladder model: every division below Master is worth 100 LP, and the apex tiers
+// (Master, Grandmaster, Challenger) share one open-ended LP pool with no divisions
+const TIERS = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND', 'MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const DIVISIONS = ['IV', 'III', 'II', 'I'];
+const APEX_TIERS = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const LP_PER_DIVISION = 100;
+
+// LP at which Master starts, i.e. the top of Diamond I
+const APEX_BASE_LP = TIERS.indexOf('MASTER') * DIVISIONS.length * LP_PER_DIVISION;
+
+function isApexTier(tier) {
+    return APEX_TIERS.includes(tier);
+}
+
+// Position on the ladder in LP counted from Iron IV 0 LP; null when unranked
+function getLadderLP(tier, rank, leaguePoints) {
+    if (!TIERS.includes(tier)) return null;
+
+    // Apex LP carries over between Master, Grandmaster and Challenger
+    if (isApexTier(tier)) {
+        return APEX_BASE_LP + leaguePoints;
+    }
+
+    const divisionIndex = DIVISIONS.indexOf(rank);
+    if (divisionIndex === -1) return null;
+
+    return (TIERS.indexOf(tier) * DIVISIONS.length + divisionIndex) * LP_PER_DIVISION + leaguePoints;
+}
+
+// Tier and division at a ladder position (apex LP all reads as Master)
+function getRankAtLadderLP(ladderLP) {
+    if (ladderLP >= APEX_BASE_LP) {
+        return { tier: 'MASTER', rank: 'I' };
+    }
+
+    const step = Math.max(0, Math.floor(ladderLP / LP_PER_DIVISION));
+    return {
+        tier: TIERS[Math.floor(step / DIVISIONS.length)],
+        rank: DIVISIONS[step % DIVISIONS.length]
+    };
+}
+
+// Comparable tier/division step, ignoring LP
+function getRankStep(tier, rank) {
+    const tierIndex = TIERS.indexOf(tier);
+    if (tierIndex === -1) return null;
+
+    return tierIndex * DIVISIONS.length + (isApexTier(tier) ? 0 : DIVISIONS.indexOf(rank));
+}
+
+// LP delta between two rank snapshots plus the promotion/demotion it caused, if any
+function compareRanks(previous, current) {
+    const previousLadderLP = getLadderLP(previous.tier, previous.rank, previous.leaguePoints);
+    const currentLadderLP = getLadderLP(current.tier, current.rank, current.leaguePoints);
+
+    if (previousLadderLP === null || currentLadderLP === null) {
+        return {
+            change: null,
+            event: previousLadderLP === null && currentLadderLP !== null ? 'placement' : null
+        };
+    }
+
+    const previousStep = getRankStep(previous.tier, previous.rank);
+    const currentStep = getRankStep(current.tier, current.rank);
+
+    let event = null;
+    if (currentStep > previousStep) {
+        event = 'promotion';
+    } else if (currentStep < previousStep) {
+        event = 'demotion';
+    }
+
+    return { change: currentLadderLP - previousLadderLP, event };
+}
+
+function formatRank(tier, rank) {
+    if (!tier) return 'Unranked';
+    return isApexTier(tier) ? tier : `${tier} ${rank}`;
+}
+
+module.exports = {
+    TIERS,
+    DIVISIONS,
+    LP_PER_DIVISION,
+    APEX_BASE_LP,
+    isApexTier,
+    getLadderLP,
+    getRankAtLadderLP,
+    compareRanks,
+    formatRank
+};
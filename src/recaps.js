@@ -0,0 +1,84 @@
+const { formatRank } = require('./rankLadder');
+
+// Recap periods, sent by the midnight job on the day after the period ends
+const RECAP_PERIODS = {
+    weekly: { label: 'Weekly', emoji: '🗓️' },
+    monthly: { label: 'Monthly', emoji: '📆' }
+};
+
+// Combine a period's daily_tracking rows (one queue, oldest first) and their daily_games into recap stats
+function summarizePeriod(days, gamesByDay = new Map()) {
+    const playedDays = days.filter(day => day.games_played > 0);
+    const recap = {
+        gamesPlayed: 0,
+        wins: 0,
+        losses: 0,
+        netLP: 0,
+        daysPlayed: playedDays.length,
+        startRank: null,
+        endRank: null,
+        championStats: {},
+        bestDay: null,
+        worstDay: null,
+        promotions: 0,
+        demotions: 0,
+        bestGame: null
+    };
+
+    for (const day of playedDays) {
+        recap.gamesPlayed += day.games_played;
+        recap.wins += day.wins;
+        recap.losses += day.losses;
+        recap.netLP += day.total_lp_change || 0;
+
+        if (!recap.startRank && day.start_tier) {
+            recap.startRank = { tier: day.start_tier, rank: day.start_rank, lp: day.start_lp };
+        }
+        if (day.end_tier) {
+            recap.endRank = { tier: day.end_tier, rank: day.end_rank, lp: day.end_lp };
+        }
+
+        for (const [champion, stats] of Object.entries(day.champion_stats || {})) {
+            const total = recap.championStats[champion] || { games: 0, wins: 0, losses: 0 };
+            total.games += stats.games;
+            total.wins += stats.wins;
+            total.losses += stats.losses;
+            recap.championStats[champion] = total;
+        }
+
+        const dayResult = { date: day.date_key, wins: day.wins, losses: day.losses, lpChange: day.total_lp_change || 0 };
+        if (!recap.bestDay || dayResult.lpChange > recap.bestDay.lpChange) {
+            recap.bestDay = dayResult;
+        }
+        if (!recap.worstDay || dayResult.lpChange < recap.worstDay.lpChange) {
+            recap.worstDay = dayResult;
+        }
+
+        for (const game of gamesByDay.get(day.id) || []) {
+            if (game.lpEvent === 'promotion') recap.promotions++;
+            if (game.lpEvent === 'demotion') recap.demotions++;
+            if (!recap.bestGame || game.kdaValue > recap.bestGame.kdaValue) {
+                recap.bestGame = { ...game, date: day.date_key };
+            }
+        }
+    }
+
+    return recap;
+}
+
+function getTopChampions(championStats, limit = 3) {
+    return Object.entries(championStats)
+        .sort(([, a], [, b]) => b.games - a.games || b.wins - a.wins)
+        .slice(0, limit);
+}
+
+function formatRankSnapshot(snapshot) {
+    return snapshot ? `${formatRank(snapshot.tier, snapshot.rank)} ${snapshot.lp || 0} LP` : 'Unranked';
+}
+
+module.exports = {
+    RECAP_PERIODS,
+    summarizePeriod,
+    getTopChampions,
+    formatRankSnapshot
+};
@@ -0,0 +1,111 @@
+// Riot platform routing values with their regional cluster (account/match-v5) and op.gg region
+const PLATFORMS = {
+    na1: { cluster: 'americas', opgg: 'na', label: 'North America' },
+    br1: { cluster: 'americas', opgg: 'br', label: 'Brazil' },
+    la1: { cluster: 'americas', opgg: 'lan', label: 'Latin America North' },
+    la2: { cluster: 'americas', opgg: 'las', label: 'Latin America South' },
+    euw1: { cluster: 'europe', opgg: 'euw', label: 'Europe West' },
+    eun1: { cluster: 'europe', opgg: 'eune', label: 'Europe Nordic & East' },
+    tr1: { cluster: 'europe', opgg: 'tr', label: 'Turkey' },
+    ru: { cluster: 'europe', opgg: 'ru', label: 'Russia' },
+    me1: { cluster: 'europe', opgg: 'me', label: 'Middle East' },
+    kr: { cluster: 'asia', opgg: 'kr', label: 'Korea' },
+    jp1: { cluster: 'asia', opgg: 'jp', label: 'Japan' },
+    oc1: { cluster: 'sea', opgg: 'oce', label: 'Oceania' },
+    ph2: { cluster: 'sea', opgg: 'ph', label: 'Philippines' },
+    sg2: { cluster: 'sea', opgg: 'sg', label: 'Singapore' },
+    th2: { cluster: 'sea', opgg: 'th', label: 'Thailand' },
+    tw2: { cluster: 'sea', opgg: 'tw', label: 'Taiwan' },
+    vn2: { cluster: 'sea', opgg: 'vn', label: 'Vietnam' }
+};
+
+// Default Riot ID tags (and common region shorthands) that identify a player's home platform
+const TAG_PLATFORMS = {
+    NA: 'na1', NA1: 'na1',
+    BR: 'br1', BR1: 'br1',
+    LAN: 'la1', LA1: 'la1',
+    LAS: 'la2', LA2: 'la2',
+    EUW: 'euw1', EUW1: 'euw1',
+    EUNE: 'eun1', EUN1: 'eun1',
+    TR: 'tr1', TR1: 'tr1',
+    RU: 'ru', RU1: 'ru',
+    ME: 'me1', ME1: 'me1',
+    KR: 'kr', KR1: 'kr',
+    JP: 'jp1', JP1: 'jp1',
+    OCE: 'oc1', OC1: 'oc1',
+    PH: 'ph2', PH2: 'ph2',
+    SG: 'sg2', SG2: 'sg2',
+    TH: 'th2', TH2: 'th2',
+    TW: 'tw2', TW2: 'tw2',
+    VN: 'vn2', VN2: 'vn2'
+};
+
+const DEFAULT_PLATFORM = 'na1';
+
+// Accept a platform ID ('euw1') or a region shorthand ('EUW'); returns null when unknown
+function normalizePlatform(region) {
+    if (!region) return null;
+
+    const value = region.trim();
+    if (PLATFORMS[value.toLowerCase()]) {
+        return value.toLowerCase();
+    }
+
+    return TAG_PLATFORMS[value.toUpperCase()] || null;
+}
+
+function inferPlatformFromTag(tagLine) {
+    return tagLine ? TAG_PLATFORMS[tagLine.trim().toUpperCase()] || null : null;
+}
+
+// Explicit region wins, then the Riot ID tag, then NA for custom tags
+function resolvePlatform(region = null, tagLine = null) {
+    return normalizePlatform(region) || inferPlatformFromTag(tagLine) || DEFAULT_PLATFORM;
+}
+
+function getRegionalCluster(platform) {
+    const info = PLATFORMS[platform];
+    return info ? info.cluster : PLATFORMS[DEFAULT_PLATFORM].cluster;
+}
+
+// account-v1 is not served from the SEA cluster, so those players are looked up through asia
+function getAccountCluster(platform) {
+    const cluster = getRegionalCluster(platform);
+    return cluster === 'sea' ? 'asia' : cluster;
+}
+
+// Match IDs are prefixed with their platform, e.g. EUW1_6543210987
+function getPlatformFromMatchId(matchId) {
+    const prefix = String(matchId).split('_')[0].toLowerCase();
+    return PLATFORMS[prefix] ? prefix : DEFAULT_PLATFORM;
+}
+
+// Spectator game IDs become match-v5 IDs by adding the platform prefix
+function getMatchIdFromGameId(gameId, platform = DEFAULT_PLATFORM) {
+    return `${(platform || DEFAULT_PLATFORM).toUpperCase()}_${gameId}`;
+}
+
+function getOpGGRegion(platform) {
+    const info = PLATFORMS[platform];
+    return info ? info.opgg : PLATFORMS[DEFAULT_PLATFORM].opgg;
+}
+
+// op.gg has no match pages, so single matches link to League of Graphs (same region slugs)
+function getMatchUrl(matchId) {
+    const [, gameId] = String(matchId).split('_');
+    return `https://www.leagueofgraphs.com/match/${getOpGGRegion(getPlatformFromMatchId(matchId))}/${gameId}`;
+}
+
+module.exports = {
+    PLATFORMS,
+    DEFAULT_PLATFORM,
+    normalizePlatform,
+    inferPlatformFromTag,
+    resolvePlatform,
+    getRegionalCluster,
+    getAccountCluster,
+    getPlatformFromMatchId,
+    getMatchIdFromGameId,
+    getOpGGRegion,
+    getMatchUrl
+};
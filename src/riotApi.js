@@ -1,12 +1,18 @@
-const axios = require('axios');
 const ApiRateLimiter = require('./apiRateLimiter');
+const StaticAssets = require('./staticAssets');
+const {
+    DEFAULT_PLATFORM,
+    resolvePlatform,
+    getRegionalCluster,
+    getAccountCluster,
+    getPlatformFromMatchId,
+    getOpGGRegion
+} = require('./regions');
+const { findRankEntry } = require('./queues');
 
 class RiotAPI {
     constructor(apiKey) {
         this.apiKey = apiKey;
-        this.baseURL = 'https://na1.api.riotgames.com/lol';
-        // Account API uses regional clusters: americas, asia, europe
-        this.accountBaseURL = 'https://americas.api.riotgames.com/riot/account/v1';
         
         // Initialize rate limiter
         this.rateLimiter = new ApiRateLimiter({
@@ -15,10 +21,8 @@ class RiotAPI {
             maxRetries: 3
         });
         
-        // Champion data caching
-        this.championMap = new Map(); // championId -> championName
-        this.championDataLoaded = false;
-        this.lastChampionUpdate = null;
+        // Data Dragon static data (champions, runes, summoner spells) and icon URLs
+        this.staticAssets = new StaticAssets();
         
         console.log('🚀 RiotAPI initialized with rate limiting');
     }
@@ -34,19 +38,36 @@ class RiotAPI {
         console.log(`\n📊 ===== DETAILED API STATISTICS =====`);
         console.log(`🌐 Requests: ${stats.totalRequests} total (${stats.successfulRequests} success, ${stats.failedRequests} failed)`);
         console.log(`🚨 Rate Limits: ${stats.rateLimitedRequests} hit, Current: ${stats.rateLimitWindow}`);
+        stats.rateLimitBuckets.forEach(bucket => console.log(`   ${bucket}`));
         console.log(`🏆 Peak Usage: ${stats.peakRequestsInWindow}/${this.rateLimiter.maxRequestsPerWindow} requests (${Math.round(stats.peakRequestsInWindow/this.rateLimiter.maxRequestsPerWindow*100)}% max)`);
         
         if (stats.peakRequestsTime) {
             console.log(`   Peak Time: ${stats.peakRequestsTime.toLocaleString()}`);
         }
         
-        console.log(`💾 Cache: ${stats.cacheHitRate} hit rate, ${stats.cacheSize} entries, ${stats.cachedResponses} served`);
+        console.log(`💾 Cache: ${stats.cacheHitRate} hit rate, ${stats.cacheSize} entries, ${stats.cachedResponses} served, ${stats.coalescedRequests} duplicates joined`);
+        console.log(`🗄️ Persistent cache: ${stats.persistentCacheEnabled ? `${stats.cacheStats.persistentHits} hits, ${stats.cacheStats.persistentWrites} writes` : 'disabled'}`);
         console.log(`⚡ Performance: ${Math.round(stats.averageResponseTime)}ms avg, Queue: ${stats.queueSize}, Active: ${stats.activeRequests}`);
         console.log(`=====================================\n`);
         
         return stats;
     }
     
+    // Platform routing (summoner, league, spectator), e.g. https://euw1.api.riotgames.com/lol
+    getPlatformBaseURL(platform = DEFAULT_PLATFORM) {
+        return `https://${platform}.api.riotgames.com/lol`;
+    }
+    
+    // Regional routing (match-v5), e.g. https://europe.api.riotgames.com/lol
+    getRegionalBaseURL(platform = DEFAULT_PLATFORM) {
+        return `https://${getRegionalCluster(platform)}.api.riotgames.com/lol`;
+    }
+    
+    // Account API uses regional clusters: americas, asia, europe
+    getAccountBaseURL(platform = DEFAULT_PLATFORM) {
+        return `https://${getAccountCluster(platform)}.api.riotgames.com/riot/account/v1`;
+    }
+    
     // Cleanup method
     destroy() {
         if (this.rateLimiter) {
@@ -55,15 +76,14 @@ class RiotAPI {
         console.log('🚫 RiotAPI destroyed');
     }
 
-    async getSummonerByRiotId(gameName, tagLine = 'NA1') {
+    async getSummonerByRiotId(gameName, tagLine = 'NA1', region = null) {
         try {
-            console.log(`Looking up: ${gameName}#${tagLine}`);
-            
-            // Cache key for this summoner lookup
-            const cacheKey = `summoner:${gameName}#${tagLine}`;
+            // Explicit region wins, otherwise infer the platform from the tag (e.g. #EUW)
+            const platform = resolvePlatform(region, tagLine);
+            console.log(`Looking up: ${gameName}#${tagLine} (${platform})`);
             
             // First get PUUID using Account API
-            const accountURL = `${this.accountBaseURL}/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`;
+            const accountURL = `${this.getAccountBaseURL(platform)}/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`;
             console.log(`Account API URL: ${accountURL}`);
             
             const accountResponse = await this.rateLimiter.queueRequest({
@@ -74,15 +94,17 @@ class RiotAPI {
                 }
             }, {
                 priority: 'high', // Summoner lookup is high priority
+                endpoint: 'account-v1.getByRiotId',
                 cacheKey: `account:${gameName}#${tagLine}`,
-                cacheTTL: 7200000 // Cache account data for 2 hours (rarely changes)
+                cacheTTL: 7200000, // Cache account data for 2 hours (rarely changes)
+                persist: true
             });
             
             const puuid = accountResponse.data.puuid;
             console.log(`Found PUUID: ${puuid}`);
             
             // Then get summoner data using PUUID
-            const summonerURL = `${this.baseURL}/summoner/v4/summoners/by-puuid/${puuid}`;
+            const summonerURL = `${this.getPlatformBaseURL(platform)}/summoner/v4/summoners/by-puuid/${puuid}`;
             console.log(`Summoner API URL: ${summonerURL}`);
             
             const summonerResponse = await this.rateLimiter.queueRequest({
@@ -93,15 +115,17 @@ class RiotAPI {
                 }
             }, {
                 priority: 'high',
-                cacheKey: `summoner:puuid:${puuid}`,
-                cacheTTL: 7200000 // Cache summoner data for 2 hours (rarely changes)
+                endpoint: 'summoner-v4.getByPUUID',
+                cacheKey: `summoner:${platform}:puuid:${puuid}`,
+                cacheTTL: 7200000, // Cache summoner data for 2 hours (rarely changes)
+                persist: true
             });
             
             // Add the riot ID info to the response
             const summonerData = summonerResponse.data;
             summonerData.gameName = accountResponse.data.gameName;
             summonerData.tagLine = accountResponse.data.tagLine;
-            
+            summonerData.region = platform;
             
             console.log(`Successfully found summoner: ${summonerData.gameName}#${summonerData.tagLine}`);
             return summonerData;
@@ -118,7 +142,7 @@ class RiotAPI {
     }
 
     // Modern Riot ID lookup using Account API
-    async getSummonerByName(input) {
+    async getSummonerByName(input, region = null) {
         // Require Riot ID format (gameName#tagLine)
         if (!input.includes('#')) {
             throw new Error('Please use the full Riot ID format: GameName#TAG (e.g., Melvinbung#NA1)');
@@ -130,20 +154,21 @@ class RiotAPI {
         }
         
         // All players now have Riot IDs - use Account API only
-        return await this.getSummonerByRiotId(gameName.trim(), tagLine.trim());
+        return await this.getSummonerByRiotId(gameName.trim(), tagLine.trim(), region);
     }
 
 
-    async getCurrentGame(puuid, bypassCache = false) {
+    async getCurrentGame(puuid, bypassCache = false, region = DEFAULT_PLATFORM) {
         try {
             const response = await this.rateLimiter.queueRequest({
                 method: 'GET',
-                url: `${this.baseURL}/spectator/v5/active-games/by-summoner/${puuid}`,
+                url: `${this.getPlatformBaseURL(region)}/spectator/v5/active-games/by-summoner/${puuid}`,
                 headers: {
                     'X-Riot-Token': this.apiKey
                 }
             }, {
                 priority: 'high', // Live game data is high priority
+                endpoint: 'spectator-v5.getCurrentGameInfoByPuuid',
                 cacheKey: `current-game:${puuid}`,
                 cacheTTL: 30000, // Cache for 30 seconds (games change frequently)
                 bypassCache: bypassCache
@@ -159,7 +184,7 @@ class RiotAPI {
         }
     }
 
-    async getRankInfo(summonerIdOrPuuid) {
+    async getRankInfo(summonerIdOrPuuid, region = DEFAULT_PLATFORM) {
         try {
             if (!summonerIdOrPuuid) {
                 console.log('No summoner ID/PUUID available for rank lookup');
@@ -170,13 +195,16 @@ class RiotAPI {
             try {
                 const response = await this.rateLimiter.queueRequest({
                     method: 'GET',
-                    url: `${this.baseURL}/league/v4/entries/by-puuid/${summonerIdOrPuuid}`,
+                    url: `${this.getPlatformBaseURL(region)}/league/v4/entries/by-puuid/${summonerIdOrPuuid}`,
                     headers: {
                         'X-Riot-Token': this.apiKey
                     }
                 }, {
-                    priority: 'normal'
-                    // No caching for rank data - needs to be fresh after games
+                    priority: 'normal',
+                    endpoint: 'league-v4.getLeagueEntriesByPUUID',
+                    // No caching for rank data - needs to be fresh after games - but concurrent lookups share a request
+                    cacheKey: `rank:${region}:puuid:${summonerIdOrPuuid}`,
+                    bypassCache: true
                 });
                 console.log('Rank info retrieved using PUUID endpoint');
                 return response.data;
@@ -186,13 +214,16 @@ class RiotAPI {
                 // Fallback to summoner ID endpoint
                 const response = await this.rateLimiter.queueRequest({
                     method: 'GET',
-                    url: `${this.baseURL}/league/v4/entries/by-summoner/${summonerIdOrPuuid}`,
+                    url: `${this.getPlatformBaseURL(region)}/league/v4/entries/by-summoner/${summonerIdOrPuuid}`,
                     headers: {
                         'X-Riot-Token': this.apiKey
                     }
                 }, {
-                    priority: 'normal'
-                    // No caching for rank data - needs to be fresh after games  
+                    priority: 'normal',
+                    endpoint: 'league-v4.getLeagueEntriesForSummoner',
+                    // No caching for rank data - needs to be fresh after games - but concurrent lookups share a request
+                    cacheKey: `rank:${region}:summoner:${summonerIdOrPuuid}`,
+                    bypassCache: true
                 });
                 console.log('Rank info retrieved using summoner ID endpoint');
                 return response.data;
@@ -208,6 +239,11 @@ class RiotAPI {
         return gameData && gameData.gameQueueConfigId === 420;
     }
 
+    // Check a live game against the ranked queues a player has chosen to track
+    isRankedGame(gameData, queueIds = [420]) {
+        return !!gameData && queueIds.includes(gameData.gameQueueConfigId);
+    }
+
     isCasualGame(gameData) {
         if (!gameData || !gameData.gameQueueConfigId) return false;
         
@@ -234,9 +270,9 @@ class RiotAPI {
         return `${soloRank.tier} ${soloRank.rank} (${soloRank.leaguePoints} LP)`;
     }
 
-    async getMatchHistory(puuid, startTime = null, count = 5) {
+    async getMatchHistory(puuid, startTime = null, count = 5, region = DEFAULT_PLATFORM, queueId = 420) {
         try {
-            let url = `https://americas.api.riotgames.com/lol/match/v5/matches/by-puuid/${puuid}/ids?queue=420&count=${count}`;
+            let url = `${this.getRegionalBaseURL(region)}/match/v5/matches/by-puuid/${puuid}/ids?queue=${queueId}&count=${count}`;
             
             // Add start time filter if provided (Unix timestamp)
             if (startTime) {
@@ -252,7 +288,8 @@ class RiotAPI {
                 }
             }, {
                 priority: 'normal',
-                cacheKey: `match-history:${puuid}:${count}:${startTime ? startTime.getTime() : 'all'}`,
+                endpoint: 'match-v5.getMatchIdsByPUUID',
+                cacheKey: `match-history:${puuid}:${queueId}:${count}:${startTime ? startTime.getTime() : 'all'}`,
                 cacheTTL: 1800000 // Cache match history for 30 minutes (less frequent changes)
             });
             
@@ -268,14 +305,17 @@ class RiotAPI {
         try {
             const response = await this.rateLimiter.queueRequest({
                 method: 'GET',
-                url: `https://americas.api.riotgames.com/lol/match/v5/matches/${matchId}`,
+                // Match IDs carry their platform prefix, which picks the regional cluster
+                url: `${this.getRegionalBaseURL(getPlatformFromMatchId(matchId))}/match/v5/matches/${matchId}`,
                 headers: {
                     'X-Riot-Token': this.apiKey
                 }
             }, {
                 priority: 'normal',
+                endpoint: 'match-v5.getMatch',
                 cacheKey: `match-details:${matchId}`,
-                cacheTTL: 3600000 // Cache match details for 1 hour (they don't change)
+                cacheTTL: 3600000, // Keep match details in memory for 1 hour
+                immutable: true // Finished matches never change, so they're stored for good
             }
             );
             
@@ -319,91 +359,19 @@ class RiotAPI {
         }
     }
 
-    createOpGGUrl(gameName, tagLine, matchId) {
+    createOpGGUrl(gameName, tagLine, matchId, region = DEFAULT_PLATFORM) {
         // op.gg doesn't support direct match links, so link to summoner's match history
         // Users can find the specific match in their recent games
         
-        // Extract region from baseURL (e.g., 'na1' from 'https://na1.api.riotgames.com/lol')
-        const regionMatch = this.baseURL.match(/https:\/\/([a-z0-9]+)\.api\.riotgames\.com/);
-        let region = 'na'; // default fallback
+        // Map the player's platform (e.g. 'euw1') to its op.gg region (e.g. 'euw')
+        const opggRegion = getOpGGRegion(region);
         
-        if (regionMatch) {
-            const apiRegion = regionMatch[1];
-            // Map API regions to op.gg regions
-            const regionMap = {
-                'na1': 'na',
-                'euw1': 'euw',
-                'eun1': 'eune',
-                'kr': 'kr',
-                'jp1': 'jp',
-                'br1': 'br',
-                'la1': 'lan',
-                'la2': 'las',
-                'oc1': 'oce',
-                'tr1': 'tr',
-                'ru': 'ru'
-            };
-            region = regionMap[apiRegion] || 'na';
-        }
-        
-        return `https://op.gg/summoners/${region}/${gameName}-${tagLine}`;
+        return `https://op.gg/summoners/${opggRegion}/${encodeURIComponent(gameName)}-${encodeURIComponent(tagLine)}`;
     }
 
-    // Load champion data from Riot's Data Dragon API
-    async loadChampionData() {
-        try {
-            // Check if we need to refresh (every 24 hours or on startup)
-            const now = new Date();
-            const needsRefresh = !this.championDataLoaded || 
-                                !this.lastChampionUpdate || 
-                                (now - this.lastChampionUpdate) > (24 * 60 * 60 * 1000);
-            
-            if (!needsRefresh) {
-                return; // Data is still fresh
-            }
-            
-            console.log('🔄 Loading champion data from Data Dragon...');
-            
-            // Get latest game version first
-            // Use direct axios calls for Data Dragon (free API, no rate limiting needed)
-            const versionsResponse = await axios.get('https://ddragon.leagueoflegends.com/api/versions.json');
-            const latestVersion = versionsResponse.data[0];
-            
-            // Load champion data for latest version
-            const championsResponse = await axios.get(
-                `https://ddragon.leagueoflegends.com/cdn/${latestVersion}/data/en_US/champion.json`
-            );
-            
-            const championData = championsResponse.data.data;
-            
-            // Clear existing map and populate with fresh data
-            this.championMap.clear();
-            
-            // Convert champion data to ID -> Name mapping
-            for (const [championKey, championInfo] of Object.entries(championData)) {
-                const championId = parseInt(championInfo.key);
-                const championName = championInfo.name;
-                this.championMap.set(championId, championName);
-            }
-            
-            this.championDataLoaded = true;
-            this.lastChampionUpdate = now;
-            
-            console.log(`✅ Loaded ${this.championMap.size} champions from Data Dragon (v${latestVersion})`);
-            
-        } catch (error) {
-            console.error('❌ Error loading champion data from Data Dragon:', error.message);
-            
-            // Fallback to basic mapping if Data Dragon fails
-            if (this.championMap.size === 0) {
-                console.log('⚠️ Using fallback champion mapping');
-                this.championMap = new Map([
-                    [1, 'Annie'], [777, 'Yone'], [11, 'Master Yi'], [157, 'Yasuo'],
-                    [64, 'Lee Sin'], [103, 'Ahri'], [81, 'Ezreal'], [22, 'Ashe']
-                    // Add more common champions as needed
-                ]);
-            }
-        }
+    // Load champion, item, rune and summoner spell data (stored snapshot first, then Riot's Data Dragon API)
+    async loadChampionData(force = false) {
+        await this.staticAssets.load(force);
     }
 
     // Get champion name by ID with automatic loading
@@ -412,20 +380,19 @@ class RiotAPI {
         await this.loadChampionData();
         
         // Look up champion name
-        const championName = this.championMap.get(championId);
+        const championName = this.staticAssets.getChampionName(championId);
         
         if (championName) {
             return championName;
         }
         
         // If not found, try refreshing data (maybe new champion)
-        if (this.championDataLoaded) {
+        if (this.staticAssets.isLoaded()) {
             console.log(`🔍 Unknown champion ID ${championId}, refreshing data...`);
-            this.championDataLoaded = false; // Force refresh
-            await this.loadChampionData();
+            await this.loadChampionData(true);
             
             // Try again after refresh
-            const refreshedName = this.championMap.get(championId);
+            const refreshedName = this.staticAssets.getChampionName(championId);
             if (refreshedName) {
                 return refreshedName;
             }
@@ -436,12 +403,12 @@ class RiotAPI {
     }
 
     // Enhanced game analysis methods for betting system
-    async getChampionSpecificStats(puuid, championName, gameCount = 10) {
+    async getChampionSpecificStats(puuid, championName, gameCount = 10, region = DEFAULT_PLATFORM, queueId = 420) {
         try {
             console.log(`📊 Getting champion stats for ${championName} (last ${gameCount} games)`);
             
             // Get recent match history
-            const matchIds = await this.getMatchHistory(puuid, null, 20); // Get more to filter by champion
+            const matchIds = await this.getMatchHistory(puuid, null, 20, region, queueId); // Get more to filter by champion
             const championGames = [];
             
             for (const matchId of matchIds) {
@@ -454,7 +421,7 @@ class RiotAPI {
                 if (!playerStats) continue;
                 
                 // Only include games with the specified champion
-                if (playerStats.championName === championName && playerStats.queueType === 420) { // Ranked Solo
+                if (playerStats.championName === championName && playerStats.queueType === queueId) {
                     championGames.push(playerStats);
                 }
             }
@@ -465,7 +432,9 @@ class RiotAPI {
                     winrate: 0,
                     avgKDA: 0,
                     avgCS: 0,
-                    recentForm: 'No recent games'
+                    recentForm: 'No recent games',
+                    recentWins: 0,
+                    recentGames: 0
                 };
             }
             
@@ -492,7 +461,9 @@ class RiotAPI {
                 winrate,
                 avgKDA: avgKDA === '99.00' ? 'Perfect' : avgKDA,
                 avgCS,
-                recentForm: `${recentForm} in last ${recentGames.length}`
+                recentForm: `${recentForm} in last ${recentGames.length}`,
+                recentWins,
+                recentGames: recentGames.length
             };
         } catch (error) {
             console.error('Error getting champion-specific stats:', error);
@@ -501,17 +472,19 @@ class RiotAPI {
                 winrate: 0,
                 avgKDA: 0,
                 avgCS: 0,
-                recentForm: 'Error loading stats'
+                recentForm: 'Error loading stats',
+                recentWins: 0,
+                recentGames: 0
             };
         }
     }
 
-    async getPlayerRankedStats(puuid) {
+    async getPlayerRankedStats(puuid, region = DEFAULT_PLATFORM, queueId = 420) {
         try {
-            const rankInfo = await this.getRankInfo(puuid);
-            const soloRank = rankInfo.find(entry => entry.queueType === 'RANKED_SOLO_5x5');
+            const rankInfo = await this.getRankInfo(puuid, region);
+            const rankEntry = findRankEntry(rankInfo, queueId);
             
-            if (!soloRank) {
+            if (!rankEntry) {
                 return {
                     rank: 'Unranked',
                     winrate: 0,
@@ -520,20 +493,20 @@ class RiotAPI {
                 };
             }
             
-            const totalGames = soloRank.wins + soloRank.losses;
-            const winrate = totalGames > 0 ? Math.round((soloRank.wins / totalGames) * 100) : 0;
+            const totalGames = rankEntry.wins + rankEntry.losses;
+            const winrate = totalGames > 0 ? Math.round((rankEntry.wins / totalGames) * 100) : 0;
             
             // Format rank display
             const apexTiers = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
-            const rankDisplay = apexTiers.includes(soloRank.tier) 
-                ? soloRank.tier 
-                : `${soloRank.tier} ${soloRank.rank}`;
+            const rankDisplay = apexTiers.includes(rankEntry.tier) 
+                ? rankEntry.tier 
+                : `${rankEntry.tier} ${rankEntry.rank}`;
             
             return {
                 rank: rankDisplay,
                 winrate,
-                games: `${soloRank.wins}W-${soloRank.losses}L`,
-                lp: soloRank.leaguePoints
+                games: `${rankEntry.wins}W-${rankEntry.losses}L`,
+                lp: rankEntry.leaguePoints
             };
         } catch (error) {
             console.error('Error getting player ranked stats:', error);
@@ -551,6 +524,8 @@ class RiotAPI {
             console.log(`🔍 Analyzing current game for betting system...`);
             
             const participants = currentGame.participants;
+            const region = trackedSummoner.region || DEFAULT_PLATFORM;
+            const queueId = currentGame.gameQueueConfigId;
             const trackedParticipant = participants.find(p => p.puuid === trackedSummoner.puuid);
             
             if (!trackedParticipant) {
@@ -562,15 +537,15 @@ class RiotAPI {
             
             // Get detailed stats for tracked player
             const [championStats, rankedStats] = await Promise.all([
-                this.getChampionSpecificStats(trackedSummoner.puuid, trackedChampion, 10),
-                this.getPlayerRankedStats(trackedSummoner.puuid)
+                this.getChampionSpecificStats(trackedSummoner.puuid, trackedChampion, 10, region, queueId),
+                this.getPlayerRankedStats(trackedSummoner.puuid, region, queueId)
             ]);
             
             // Analyze all participants
             const allPlayers = await Promise.all(
                 participants.map(async (participant) => {
                     const championName = await this.getChampionNameById(participant.championId);
-                    const playerRankedStats = await this.getPlayerRankedStats(participant.puuid);
+                    const playerRankedStats = await this.getPlayerRankedStats(participant.puuid, region, queueId);
                     
                     // Extract summoner name from riotId field
                     const summonerName = participant.riotId || 'Unknown Player';
@@ -606,6 +581,7 @@ class RiotAPI {
             
             return {
                 gameId: currentGame.gameId,
+                queueId,
                 gameStartTime: new Date(currentGame.gameStartTime),
                 trackedPlayer: {
                     participant: trackedParticipant,
@@ -0,0 +1,265 @@
+const axios = require('axios');
+const { createCanvas, loadImage } = require('./canvas');
+const { getQueueName } = require('./queues');
+
+const WIDTH = 1000;
+const HEADER_HEIGHT = 64;
+const TEAM_HEADER_HEIGHT = 30;
+const ROW_HEIGHT = 52;
+const PADDING = 16;
+const ICON_SIZE = 40;
+const SMALL_ICON_SIZE = 19;
+const ITEM_SIZE = 28;
+const ITEM_SLOTS = 7;
+
+const COLORS = {
+    background: '#2b2d31',
+    row: '#313338',
+    highlight: '#4a4326',
+    highlightBorder: '#f0b232',
+    text: '#f2f3f5',
+    mutedText: '#949ba4',
+    win: '#43b581',
+    loss: '#f04747',
+    blueTeam: '#5383e8',
+    redTeam: '#e84057',
+    damage: '#e8a33d',
+    emptySlot: '#1e1f22'
+};
+
+// Decoded Data Dragon icons per patch (failed downloads are retried next time). Games from the last couple
+// of patches are all that get posted, so older patches are dropped instead of piling up.
+const MAX_CACHED_PATCHES = 2;
+const iconCache = new Map(); // version -> Map of URL -> image
+
+function getPatchIconCache(version) {
+    let patchCache = iconCache.get(version);
+    if (patchCache) {
+        // Re-insert to mark the patch as most recently used
+        iconCache.delete(version);
+    } else {
+        patchCache = new Map();
+    }
+    iconCache.set(version, patchCache);
+
+    while (iconCache.size > MAX_CACHED_PATCHES) {
+        iconCache.delete(iconCache.keys().next().value);
+    }
+
+    return patchCache;
+}
+
+// Match gameVersion "14.20.625.1234" -> Data Dragon version "14.20.1"
+function getDataDragonVersion(gameVersion) {
+    const [major, minor] = String(gameVersion || '').split('.');
+    return major && minor ? `${major}.${minor}.1` : null;
+}
+
+async function loadIcon(patchCache, url) {
+    if (patchCache.has(url)) return patchCache.get(url);
+
+    try {
+        const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 5000 });
+        const image = await loadImage(Buffer.from(response.data));
+        patchCache.set(url, image);
+        return image;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Icon URLs for one participant: champion, items (trinket last), summoner spells, keystone and secondary rune tree
+function getParticipantIconUrls(participant, staticAssets, version) {
+    const styles = (participant.perks && participant.perks.styles) || [];
+    const keystone = styles[0] && styles[0].selections && styles[0].selections[0];
+
+    return {
+        champion: staticAssets.getChampionIconUrl(participant.championName, version),
+        items: Array.from({ length: ITEM_SLOTS }, (_, slot) => staticAssets.getItemIconUrl(participant[`item${slot}`], version)),
+        spells: [participant.summoner1Id, participant.summoner2Id].map(spellId => staticAssets.getSummonerSpellIconUrl(spellId, version)),
+        runes: [keystone && keystone.perk, styles[1] && styles[1].style].map(perkId => staticAssets.getRuneIconUrl(perkId))
+    };
+}
+
+// Download every icon on the scoreboard, keyed by URL
+async function loadMatchIcons(iconUrls, version) {
+    const urls = new Set();
+    for (const participantUrls of iconUrls.values()) {
+        const { champion, items, spells, runes } = participantUrls;
+        [champion, ...items, ...spells, ...runes].filter(Boolean).forEach(url => urls.add(url));
+    }
+
+    const patchCache = getPatchIconCache(version);
+    const icons = await Promise.all([...urls].map(async url => [url, await loadIcon(patchCache, url)]));
+    const missing = icons.filter(([, image]) => !image).length;
+    if (missing > 0) {
+        console.log(`⚠️ Scoreboard is missing ${missing} of ${icons.length} Data Dragon icons (v${version})`);
+    }
+
+    return new Map(icons);
+}
+
+function formatDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatThousands(value) {
+    return value >= 1000 ? `${(value / 1000).toFixed(1)}k` : String(value);
+}
+
+function drawIcon(ctx, image, x, y, size) {
+    if (image) {
+        ctx.drawImage(image, x, y, size, size);
+    } else {
+        ctx.fillStyle = COLORS.emptySlot;
+        ctx.fillRect(x, y, size, size);
+    }
+}
+
+// PNG scoreboard for all ten players of a match-v5 game, with the tracked player highlighted;
+// null when canvas isn't available
+async function renderScoreboard(matchData, trackedPuuid, staticAssets) {
+    if (!createCanvas || !matchData || !matchData.info) return null;
+
+    const { participants, gameDuration, queueId } = matchData.info;
+    // Icons from the patch the game was played on, or the latest patch when the match has no version
+    const version = getDataDragonVersion(matchData.info.gameVersion) || staticAssets.getVersion();
+    const iconUrls = new Map(participants.map(participant => [participant, getParticipantIconUrls(participant, staticAssets, version)]));
+    const icons = await loadMatchIcons(iconUrls, version);
+    const getIcon = url => (url ? icons.get(url) : null);
+
+    const trackedPlayer = participants.find(participant => participant.puuid === trackedPuuid);
+    const maxDamage = Math.max(...participants.map(participant => participant.totalDamageDealtToChampions || 0), 1);
+    const minutes = gameDuration / 60;
+
+    const teams = [100, 200].map(teamId => participants.filter(participant => participant.teamId === teamId));
+    const height = HEADER_HEIGHT + teams.length * (TEAM_HEADER_HEIGHT + 5 * ROW_HEIGHT) + PADDING;
+
+    const canvas = createCanvas(WIDTH, height);
+    const ctx = canvas.getContext('2d');
+    ctx.textBaseline = 'middle';
+
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, WIDTH, height);
+
+    // Header: result for the tracked player's team, queue and duration
+    if (trackedPlayer) {
+        ctx.fillStyle = trackedPlayer.win ? COLORS.win : COLORS.loss;
+        ctx.font = 'bold 26px sans-serif';
+        ctx.fillText(trackedPlayer.win ? 'VICTORY' : 'DEFEAT', PADDING, HEADER_HEIGHT / 2);
+    }
+    ctx.fillStyle = COLORS.mutedText;
+    ctx.font = '16px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${getQueueName(queueId)} • ${formatDuration(gameDuration)}`, WIDTH - PADDING, HEADER_HEIGHT / 2);
+    ctx.textAlign = 'left';
+
+    let y = HEADER_HEIGHT;
+    for (const team of teams) {
+        if (team.length === 0) continue;
+
+        const isBlue = team[0].teamId === 100;
+        const kills = team.reduce((sum, participant) => sum + participant.kills, 0);
+        const gold = team.reduce((sum, participant) => sum + participant.goldEarned, 0);
+
+        ctx.fillStyle = isBlue ? COLORS.blueTeam : COLORS.redTeam;
+        ctx.font = 'bold 15px sans-serif';
+        ctx.fillText(`${isBlue ? 'Blue' : 'Red'} Team - ${team[0].win ? 'Victory' : 'Defeat'}`, PADDING, y + TEAM_HEADER_HEIGHT / 2);
+        ctx.fillStyle = COLORS.mutedText;
+        ctx.font = '13px sans-serif';
+        ctx.fillText('KDA', 300, y + TEAM_HEADER_HEIGHT / 2);
+        ctx.fillText('CS', 420, y + TEAM_HEADER_HEIGHT / 2);
+        ctx.fillText('Damage', 510, y + TEAM_HEADER_HEIGHT / 2);
+        ctx.fillText('Gold', 680, y + TEAM_HEADER_HEIGHT / 2);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${kills} kills • ${formatThousands(gold)} gold`, WIDTH - PADDING, y + TEAM_HEADER_HEIGHT / 2);
+        ctx.textAlign = 'left';
+        y += TEAM_HEADER_HEIGHT;
+
+        for (const participant of team) {
+            const isTracked = participant.puuid === trackedPuuid;
+            const rowMiddle = y + ROW_HEIGHT / 2;
+
+            ctx.fillStyle = isTracked ? COLORS.highlight : COLORS.row;
+            ctx.fillRect(PADDING / 2, y + 2, WIDTH - PADDING, ROW_HEIGHT - 4);
+            if (isTracked) {
+                ctx.strokeStyle = COLORS.highlightBorder;
+                ctx.lineWidth = 2;
+                ctx.strokeRect(PADDING / 2, y + 2, WIDTH - PADDING, ROW_HEIGHT - 4);
+            }
+
+            const participantUrls = iconUrls.get(participant);
+
+            // Champion icon with level
+            drawIcon(ctx, getIcon(participantUrls.champion), PADDING, rowMiddle - ICON_SIZE / 2, ICON_SIZE);
+            ctx.fillStyle = COLORS.background;
+            ctx.fillRect(PADDING + ICON_SIZE - 18, rowMiddle + ICON_SIZE / 2 - 14, 18, 14);
+            ctx.fillStyle = COLORS.text;
+            ctx.font = '11px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(String(participant.champLevel), PADDING + ICON_SIZE - 9, rowMiddle + ICON_SIZE / 2 - 7);
+            ctx.textAlign = 'left';
+
+            // Summoner spells, then keystone and secondary tree, stacked in two columns
+            for (let index = 0; index < 2; index++) {
+                const iconY = rowMiddle - ICON_SIZE / 2 + index * (SMALL_ICON_SIZE + 2);
+                drawIcon(ctx, getIcon(participantUrls.spells[index]), 60, iconY, SMALL_ICON_SIZE);
+                drawIcon(ctx, getIcon(participantUrls.runes[index]), 81, iconY, SMALL_ICON_SIZE);
+            }
+
+            // Champion and player name
+            ctx.fillStyle = COLORS.text;
+            ctx.font = 'bold 15px sans-serif';
+            ctx.fillText(participant.championName, 108, rowMiddle - 9);
+            ctx.fillStyle = isTracked ? COLORS.highlightBorder : COLORS.mutedText;
+            ctx.font = '13px sans-serif';
+            ctx.fillText(participant.riotIdGameName || participant.summonerName || '', 108, rowMiddle + 10);
+
+            // KDA
+            const kdaRatio = participant.deaths === 0 ? 'Perfect' : ((participant.kills + participant.assists) / participant.deaths).toFixed(2);
+            ctx.fillStyle = COLORS.text;
+            ctx.font = 'bold 15px sans-serif';
+            ctx.fillText(`${participant.kills}/${participant.deaths}/${participant.assists}`, 300, rowMiddle - 9);
+            ctx.fillStyle = COLORS.mutedText;
+            ctx.font = '13px sans-serif';
+            ctx.fillText(`${kdaRatio} KDA`, 300, rowMiddle + 10);
+
+            // CS
+            const cs = (participant.totalMinionsKilled || 0) + (participant.neutralMinionsKilled || 0);
+            ctx.fillStyle = COLORS.text;
+            ctx.font = 'bold 15px sans-serif';
+            ctx.fillText(String(cs), 420, rowMiddle - 9);
+            ctx.fillStyle = COLORS.mutedText;
+            ctx.font = '13px sans-serif';
+            ctx.fillText(`${(cs / minutes).toFixed(1)}/min`, 420, rowMiddle + 10);
+
+            // Damage to champions, with a bar relative to the top damage in the game
+            const damage = participant.totalDamageDealtToChampions || 0;
+            ctx.fillStyle = COLORS.text;
+            ctx.font = '14px sans-serif';
+            ctx.fillText(damage.toLocaleString('en-US'), 510, rowMiddle - 9);
+            ctx.fillStyle = COLORS.emptySlot;
+            ctx.fillRect(510, rowMiddle + 5, 140, 8);
+            ctx.fillStyle = COLORS.damage;
+            ctx.fillRect(510, rowMiddle + 5, Math.round((140 * damage) / maxDamage), 8);
+
+            // Gold
+            ctx.fillStyle = COLORS.text;
+            ctx.font = '14px sans-serif';
+            ctx.fillText(formatThousands(participant.goldEarned), 680, rowMiddle);
+
+            // Items (trinket last)
+            participantUrls.items.forEach((url, slot) => {
+                drawIcon(ctx, getIcon(url), 760 + slot * (ITEM_SIZE + 4), rowMiddle - ITEM_SIZE / 2, ITEM_SIZE);
+            });
+
+            y += ROW_HEIGHT;
+        }
+    }
+
+    return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+    renderScoreboard
+};
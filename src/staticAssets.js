@@ -0,0 +1,226 @@
+const axios = require('axios');
+
+const DATA_DRAGON_URL = 'https://ddragon.leagueoflegends.com';
+const REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const RETRY_INTERVAL_MS = 15 * 60 * 1000;
+
+// Only used until the first successful load from Data Dragon or the database
+const FALLBACK_VERSION = '14.1.1';
+const FALLBACK_CHAMPIONS = [
+    [1, 'Annie', 'Annie'], [777, 'Yone', 'Yone'], [11, 'Master Yi', 'MasterYi'], [157, 'Yasuo', 'Yasuo'],
+    [64, 'Lee Sin', 'LeeSin'], [103, 'Ahri', 'Ahri'], [81, 'Ezreal', 'Ezreal'], [22, 'Ashe', 'Ashe']
+];
+
+// Data Dragon static data (latest patch, champions, items, runes, summoner spells) and the icon URLs built from it.
+// With persistence set, each patch is stored in Postgres so a restart can serve it before (or without) Data Dragon.
+class StaticAssets {
+    constructor(persistence = null) {
+        this.persistence = persistence;
+        this.version = null;
+        this.champions = new Map(); // championId -> { key, name }, e.g. 62 -> { key: 'MonkeyKing', name: 'Wukong' }
+        this.championKeys = new Map(); // lowercased name or key -> key
+        this.items = new Map(); // item ID -> name
+        this.runes = new Map(); // perk or style ID -> { name, icon }
+        this.summonerSpells = new Map(); // spell ID -> { name, image }
+        this.lastUpdate = null;
+        this.lastAttempt = null;
+        this.restoreAttempted = false;
+        this.loading = null;
+    }
+
+    isLoaded() {
+        return this.lastUpdate !== null;
+    }
+
+    // Make sure data is available, refreshing the latest patch once a day. The first call restores the stored
+    // snapshot; after that a stale copy keeps being served while Data Dragon is checked in the background.
+    // force waits for a fresh download (e.g. an unknown champion ID after a patch).
+    async load(force = false) {
+        if (!this.restoreAttempted) {
+            this.restoreAttempted = true;
+            await this.restoreStaticData();
+        }
+
+        // Data Dragon was checked recently; don't wait on it again while it's unreachable
+        const retryPending = this.lastAttempt && (Date.now() - this.lastAttempt) < RETRY_INTERVAL_MS;
+
+        if (force) {
+            if (!retryPending) await this.refresh();
+            return;
+        }
+
+        const isFresh = this.lastUpdate && (Date.now() - this.lastUpdate) < REFRESH_INTERVAL_MS;
+        if (isFresh || retryPending) return;
+
+        if (this.isLoaded()) {
+            this.refresh();
+        } else {
+            await this.refresh();
+        }
+    }
+
+    // Concurrent callers share one download
+    refresh() {
+        if (!this.loading) {
+            this.loading = this.fetchStaticData().finally(() => {
+                this.loading = null;
+            });
+        }
+
+        return this.loading;
+    }
+
+    async restoreStaticData() {
+        if (!this.persistence) return;
+
+        const snapshot = await this.persistence.loadStaticData();
+        if (!snapshot) return;
+
+        this.applyStaticData(snapshot);
+        this.lastUpdate = new Date(snapshot.fetchedAt).getTime();
+        console.log(`📦 Restored ${this.champions.size} champions and ${this.items.size} items from stored static data (v${snapshot.version})`);
+    }
+
+    async fetchStaticData() {
+        this.lastAttempt = Date.now();
+
+        try {
+            console.log('🔄 Checking Data Dragon for static data...');
+
+            // Data Dragon is a free CDN, so it skips the Riot API rate limiter
+            const versionsResponse = await axios.get(`${DATA_DRAGON_URL}/api/versions.json`, { timeout: 10000 });
+            const version = versionsResponse.data[0];
+
+            if (version === this.version) {
+                this.lastUpdate = Date.now();
+                if (this.persistence) await this.persistence.touchStaticData(version);
+                console.log(`✅ Static data is up to date (v${version})`);
+                return;
+            }
+
+            const dataUrl = file => `${DATA_DRAGON_URL}/cdn/${version}/data/en_US/${file}`;
+            const [championsResponse, itemsResponse, runesResponse, spellsResponse] = await Promise.all([
+                axios.get(dataUrl('champion.json'), { timeout: 10000 }),
+                axios.get(dataUrl('item.json'), { timeout: 10000 }),
+                axios.get(dataUrl('runesReforged.json'), { timeout: 10000 }),
+                axios.get(dataUrl('summoner.json'), { timeout: 10000 })
+            ]);
+
+            const snapshot = createSnapshot(version, {
+                champions: championsResponse.data.data,
+                items: itemsResponse.data.data,
+                runes: runesResponse.data,
+                summonerSpells: spellsResponse.data.data
+            });
+
+            this.applyStaticData(snapshot);
+            this.lastUpdate = Date.now();
+            if (this.persistence) await this.persistence.saveStaticData(snapshot);
+
+            console.log(`✅ Loaded ${this.champions.size} champions, ${this.items.size} items, ${this.runes.size} runes and ${this.summonerSpells.size} summoner spells from Data Dragon (v${version})`);
+        } catch (error) {
+            console.error('❌ Error loading static data from Data Dragon:', error.message);
+
+            if (this.champions.size === 0) {
+                console.log('⚠️ Using fallback champion mapping');
+                for (const [championId, name, key] of FALLBACK_CHAMPIONS) {
+                    this.setChampion(championId, key, name);
+                }
+            } else {
+                console.log(`⚠️ Keeping static data from v${this.version}`);
+            }
+        }
+    }
+
+    // Replace the lookups with a snapshot (see createSnapshot)
+    applyStaticData({ version, champions, items, runes, summonerSpells }) {
+        this.version = version;
+
+        this.champions.clear();
+        this.championKeys.clear();
+        for (const champion of champions) {
+            this.setChampion(champion.id, champion.key, champion.name);
+        }
+
+        this.items = new Map(items.map(item => [item.id, item.name]));
+        this.runes = new Map(runes.map(rune => [rune.id, { name: rune.name, icon: rune.icon }]));
+        this.summonerSpells = new Map(summonerSpells.map(spell => [spell.id, { name: spell.name, image: spell.image }]));
+    }
+
+    setChampion(championId, key, name) {
+        this.champions.set(championId, { key, name });
+        this.championKeys.set(key.toLowerCase(), key);
+        this.championKeys.set(name.toLowerCase(), key);
+    }
+
+    getVersion() {
+        return this.version || FALLBACK_VERSION;
+    }
+
+    getChampionName(championId) {
+        const champion = this.champions.get(championId);
+        return champion ? champion.name : null;
+    }
+
+    // Data Dragon file key for a champion display name or key ("Wukong" -> "MonkeyKing", "Kai'Sa" -> "Kaisa")
+    getChampionKey(championName) {
+        const name = String(championName || '');
+        return this.championKeys.get(name.toLowerCase()) || name.replace(/[^a-zA-Z0-9]/g, '');
+    }
+
+    getChampionIconUrl(championName, version = this.getVersion()) {
+        return `${DATA_DRAGON_URL}/cdn/${version}/img/champion/${this.getChampionKey(championName)}.png`;
+    }
+
+    getItemName(itemId) {
+        return this.items.get(itemId) || null;
+    }
+
+    getRuneName(perkId) {
+        const rune = this.runes.get(perkId);
+        return rune ? rune.name : null;
+    }
+
+    getSummonerSpellName(spellId) {
+        const spell = this.summonerSpells.get(spellId);
+        return spell ? spell.name : null;
+    }
+
+    getItemIconUrl(itemId, version = this.getVersion()) {
+        return itemId ? `${DATA_DRAGON_URL}/cdn/${version}/img/item/${itemId}.png` : null;
+    }
+
+    // Rune icons aren't versioned
+    getRuneIconUrl(perkId) {
+        const rune = this.runes.get(perkId);
+        return rune ? `${DATA_DRAGON_URL}/cdn/img/${rune.icon}` : null;
+    }
+
+    getSummonerSpellIconUrl(spellId, version = this.getVersion()) {
+        const spell = this.summonerSpells.get(spellId);
+        return spell ? `${DATA_DRAGON_URL}/cdn/${version}/img/spell/${spell.image}` : null;
+    }
+}
+
+// Compact, storable form of the Data Dragon files (champion.json, item.json, runesReforged.json, summoner.json data)
+function createSnapshot(version, { champions, items, runes, summonerSpells }) {
+    const runeList = [];
+    for (const style of runes) {
+        runeList.push({ id: style.id, name: style.name, icon: style.icon });
+        for (const slot of style.slots) {
+            for (const rune of slot.runes) {
+                runeList.push({ id: rune.id, name: rune.name, icon: rune.icon });
+            }
+        }
+    }
+
+    return {
+        version,
+        champions: Object.values(champions).map(champion => ({ id: parseInt(champion.key), key: champion.id, name: champion.name })),
+        items: Object.entries(items).map(([itemId, item]) => ({ id: parseInt(itemId), name: item.name })),
+        runes: runeList,
+        summonerSpells: Object.values(summonerSpells).map(spell => ({ id: parseInt(spell.key), name: spell.name, image: spell.image.full }))
+    };
+}
+
+module.exports = StaticAssets;
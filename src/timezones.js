@@ -0,0 +1,73 @@
+// Day boundaries follow each guild's timezone; guilds that never set one use UTC
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Returns the canonical IANA name (e.g. 'america/los_angeles' -> 'America/Los_Angeles'), or null when unknown
+function normalizeTimezone(timezone) {
+    if (!timezone) return null;
+
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: timezone.trim() }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+// YYYY-MM-DD for the given instant as seen in the timezone
+function getDateKey(timezone = DEFAULT_TIMEZONE, date = new Date()) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+// Shift a YYYY-MM-DD key by whole days
+function addDays(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// 0 = Sunday ... 6 = Saturday, for a YYYY-MM-DD key
+function getDayOfWeek(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// The instant a YYYY-MM-DD day starts in the timezone
+function getStartOfDay(dateKey, timezone = DEFAULT_TIMEZONE) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const utcMidnight = Date.UTC(year, month - 1, day);
+
+    // Read the wall clock at UTC midnight to find the timezone's offset from UTC
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(utcMidnight)).map(part => [part.type, part.value]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return new Date(utcMidnight - (wallClock - utcMidnight));
+}
+
+// IANA names for /settings autocomplete (supportedValuesOf leaves out the UTC alias)
+function getSupportedTimezones() {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return [DEFAULT_TIMEZONE, ...zones.filter(zone => zone !== DEFAULT_TIMEZONE)];
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    normalizeTimezone,
+    getDateKey,
+    addDays,
+    getDayOfWeek,
+    getStartOfDay,
+    getSupportedTimezones
+};
@@ -344,7 +344,8 @@ class PlayerTracker {
                 try {
                     // Analyze the current game for detailed prediction panel
                     const gameAnalysis = await this.riotApi.analyzeCurrentGame(summoner, gameData);
-                    const predictionPanel = await this.bettingManager.createEnhancedPredictionPanel(gameAnalysis);
+                    const panelStartTime = Date.now();
+                    const predictionPanel = await this.bettingManager.createEnhancedPredictionPanel(gameAnalysis, { startTime: panelStartTime });
                     
                     // Check if panel was created (null means duplicate was prevented)
                     if (!predictionPanel) {
@@ -381,7 +382,8 @@ class PlayerTracker {
                         gameData.gameId, 
                         message.id, 
                         channel.id, 
-                        Date.now()
+                        summoner.puuid,
+                        panelStartTime
                     );
                     
                     console.log(`✅ Prediction panel created and saved for game ${gameData.gameId}`);
@@ -556,7 +558,7 @@ class PlayerTracker {
             const opggUrl = this.riotApi.createOpGGUrl(summoner.gameName, summoner.tagLine, matchStats.matchId);
             
             // Champion image URL from Data Dragon
-            const championImageUrl = `https://ddragon.leagueoflegends.com/cdn/14.1.1/img/champion/${matchStats.championName}.png`;
+            const championImageUrl = this.riotApi.staticAssets.getChampionIconUrl(matchStats.championName);
             
             // Build LP change text - only show for wins (positive feedback only)
             let lpText = '';